@@ -1,12 +1,9 @@
 // Radio Player App
 let audio = null;
 let currentStation = null;
-let loadedBulletinTimes = {
-  rnz: null,
-  newstalkzb: null
-};
-let bfmNowPlayingInterval = null;
-let lastBfmTrackInfo = null;
+let loadedBulletinTimes = {}; // Keyed by bulletin provider id
+let currentTrackInfo = null; // { artist, title, show, text } from the station's metadata provider
+let inBandMetadataSource = null; // 'icy' or 'id3' once the stream itself has delivered a title
 
 // Memory leak prevention: Track intervals and initialization state
 let newsUpdateInterval = null;
@@ -19,6 +16,189 @@ let syncScrubUI = null;
 let isEditMode = false;
 let currentSpeed = 1;
 
+// Station catalog (loaded from stations.json) plus user-added stations
+const STATION_CATALOG_URL = 'stations.json';
+const CUSTOM_STATIONS_KEY = 'customStationsV1';
+let stationCatalog = [];
+let customStations = [];
+let stationsById = new Map();
+let openStationForm = null;
+let refreshTrackHistory = null;
+let refreshFavourites = null;
+const STREAM_SOURCES_KEY = 'streamSourcesV1'; // station id -> stream URL that last played
+
+// Bulletin archive: NewstalkZB keeps a week of bulletins ("WeekOnDemand")
+const BULLETIN_ARCHIVE_PAGE_HOURS = 24;
+const BULLETIN_ARCHIVE_MAX_HOURS = 24 * 7; // Default provider archiveHours
+const BULLETIN_PROBE_CONCURRENCY = 3;
+let bulletinAvailability = new Map();
+
+// Volume multipliers applied on top of the volume slider (e.g. sleep timer fade)
+let volumeFactors = {};
+
+// Sound settings per station: gain trim, EQ, loudness levelling and mono. They
+// run through a Web Audio graph, which is only attached when a station's
+// settings aren't neutral (Web Audio needs CORS for plain stream URLs).
+const AUDIO_PROCESSING_KEY = 'audioProcessingV1';
+const EQ_BANDS = [
+  { type: 'lowshelf', frequency: 80, label: 'Bass' },
+  { type: 'peaking', frequency: 300, label: 'Low' },
+  { type: 'peaking', frequency: 1000, label: 'Mid' },
+  { type: 'peaking', frequency: 3500, label: 'Voice' },
+  { type: 'highshelf', frequency: 10000, label: 'Treble' }
+];
+const EQ_PRESETS = [
+  { id: 'flat', name: 'Flat', gains: [0, 0, 0, 0, 0] },
+  { id: 'speech', name: 'Speech', gains: [-6, -2, 1, 4, 1] },
+  { id: 'music', name: 'Music', gains: [4, 1, -1, 1, 3] },
+  { id: 'car', name: 'Car', gains: [5, 2, 0, 3, 2] }
+];
+const EQ_MAX_DB = 12;
+const GAIN_TRIM_MAX_DB = 12;
+const LOUDNESS_MAKEUP_DB = 6; // Lifts quiet speech back up after compression
+let audioProcessingSettings = null; // processing key -> { trimDb, eq, loudness, mono }
+let audioContext = null;
+let webAudioBlockedUrls = new Set(); // Streams without CORS, played unprocessed
+let refreshSoundPanel = null;
+
+// Skipping silences in bulletins and recordings: the sound chain's analyser
+// listens for gaps, which are then jumped over a step at a time
+const SILENCE_THRESHOLD_DB = -45;
+const SILENCE_MIN_SECONDS = 0.4; // Shorter pauses are part of natural speech
+const SILENCE_JUMP_SECONDS = 0.25; // Per step, so at most this much returning sound is missed
+const SILENCE_SETTLE_MS = 100; // Audio heard after a jump before the level is judged again
+const SILENCE_CHECK_MS = 30;
+let silenceCheckTimer = null;
+let silenceStartedAt = null; // Media time the current gap began
+let silenceJumpedAt = 0; // performance.now() of the last jump
+let timeSaved = { seconds: 0, mediaTime: 0, wallTime: null }; // For the loaded bulletin
+
+// Visualiser on the player card, drawn from the sound chain's analyser. It
+// only runs while audio plays in a visible tab.
+const VISUALISER_MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'spectrum', label: 'Spectrum' },
+  { value: 'waveform', label: 'Waveform' },
+  { value: 'meter', label: 'Level meter' }
+];
+const VISUALISER_BARS = 32;
+const VISUALISER_REDUCED_MOTION_MS = 500; // Redraw interval when reduced motion is asked for
+const METER_FLOOR_DB = -60;
+const METER_PEAK_HOLD_MS = 1500;
+let visualiserFrame = null;
+let lastVisualiserDraw = 0;
+let meterPeak = { db: -Infinity, at: 0 };
+
+// Sleep timer: { endsAt } for a timed sleep, or { mode: 'bulletin' } to stop when the bulletin ends
+const SLEEP_FADE_SECONDS = 60;
+let sleepTimer = null;
+let sleepTimerInterval = null;
+
+// Alarms: wake to a station or the latest bulletin at an NZ time on chosen weekdays
+const ALARMS_KEY = 'alarmsV1';
+const ALARM_RAMP_SECONDS = 90;
+const ALARM_TONE_URL = 'alarm-tone.wav';
+let alarms = [];
+let alarmCheckInterval = null;
+let alarmRampInterval = null;
+let activeAlarm = null; // { alarm, startedAt, usingTone }
+let lastAlarmFired = {}; // alarm id -> "YYYY-MM-DD HH:MM" it last fired at
+
+// Show reminders: a notification (shown by sw.js) when a show starts on a
+// station, at an NZ time on a weekday, once or weekly
+const REMINDERS_KEY = 'remindersV1';
+let reminders = []; // [{ id, name, stationId, day, time, repeat, enabled }]
+let reminderCheckInterval = null;
+let lastReminderFired = {}; // reminder id -> "YYYY-MM-DD HH:MM" it last fired at
+
+// Automatic reconnect for live stations: exponential backoff between attempts,
+// reset once audio is playing again
+const RECONNECT_MAX_ATTEMPTS = 6;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const STALL_TIMEOUT_MS = 12000; // buffering this long counts as a dropped stream
+const HLS_NONFATAL_REPEATS = 3; // repeats of a recoverable HLS.js error before we step in
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let stallTimer = null;
+
+// Time-shift: live stations keep the last few minutes buffered so they can be
+// paused and rewound. The scrub bar's right-hand end is the live edge.
+const TIMESHIFT_DEFAULT_MINUTES = 10;
+const TIMESHIFT_MINUTE_OPTIONS = [0, 5, 10, 30];
+const LIVE_EDGE_TOLERANCE_SECONDS = 6; // Closer than this to the edge counts as live
+let timeShiftUnsupportedUrls = new Set(); // Icecast mounts that can't be fetched (CORS)
+
+// Bulletins downloaded for offline listening. The MP3s live in their own Cache
+// Storage bucket (served by sw.js, Range requests included); this index in
+// localStorage tracks their sizes for the cap and least-recently-played eviction.
+const OFFLINE_BULLETIN_CACHE = 'radiolive-offline-bulletins'; // Must match sw.js
+const OFFLINE_BULLETINS_KEY = 'offlineBulletinsV1';
+const OFFLINE_BULLETIN_MAX_BYTES = 150 * 1024 * 1024;
+// What an opaque (no-cors) copy counts for against the cap: the browser won't
+// say how big it is, and pads it well beyond a bulletin's ~3 MB in its own quota
+const OFFLINE_OPAQUE_BULLETIN_BYTES = 7 * 1024 * 1024;
+let offlineBulletins = []; // [{ url, providerId, publishedAt, size, savedAt, playedAt, auto, opaque }]
+let offlineDownloads = new Set(); // URLs being downloaded
+let refreshArchiveDownloads = null;
+
+// Opt-in hourly download of each chosen provider's latest bulletin. The page
+// does it while open; sw.js does it in the background (Periodic Background
+// Sync) from a plan of upcoming bulletin URLs the page leaves in the cache.
+const AUTO_DOWNLOAD_KEEP = 3; // Auto-downloaded bulletins kept per provider
+const AUTO_DOWNLOAD_RETRY_MS = 10 * 60 * 1000;
+const AUTO_DOWNLOAD_PLAN_URL = '/offline-bulletins/plan.json'; // Must match sw.js
+const AUTO_DOWNLOAD_INDEX_URL = '/offline-bulletins/auto.json'; // Must match sw.js
+const AUTO_DOWNLOAD_PLAN_HOURS = 48;
+const AUTO_DOWNLOAD_SYNC_TAG = 'radiolive-latest-bulletins'; // Must match sw.js
+let autoDownloadAttempts = new Map(); // url -> time of the last failed attempt
+let offlineIndexSynced = false; // Auto-downloads wait for the first syncOfflineBulletinIndex()
+
+// Catch-up queue: bulletins played back to back
+const CATCH_UP_HOURS = 3;
+let bulletinQueue = []; // [{ providerId, url, publishedAt, status: 'pending' | 'playing' | 'played' | 'skipped' }]
+let bulletinQueueIndex = -1;
+let renderBulletinQueue = null;
+
+// Where the listener got to in bulletins and recordings, so reopening one
+// offers to resume. Keyed by bulletin URL, or "recording:<id>".
+const PLAYBACK_POSITIONS_KEY = 'playbackPositionsV1';
+const PLAYBACK_POSITIONS_MAX = 100;
+const PLAYBACK_POSITION_MAX_AGE_DAYS = 14;
+const RESUME_MIN_SECONDS = 5; // Less than this in isn't worth resuming
+const RESUME_END_MARGIN_SECONDS = 10; // This close to the end counts as finished
+const RESUME_PROMPT_MS = 10000;
+let playbackPositions = null;
+let lastPositionSave = 0;
+let resumePromptTimer = null;
+
+// Recording the current station to a file kept in IndexedDB
+const RECORDER_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/mp4', 'audio/ogg;codecs=opus'];
+let activeRecording = null; // { stationId, stationName, startedAt, endsAt, mimeType, chunks, stop }
+let recordingInterval = null;
+let refreshRecordings = null;
+
+// Programme guide: what's on now and next, from the bundled weekly schedule
+// or a JSON/XMLTV guide at a URL chosen in settings
+const SCHEDULE_DEFAULT_URL = 'schedule.json';
+const SCHEDULE_REFRESH_MS = 6 * 60 * 60 * 1000;
+const SCHEDULE_CHECK_MS = 30000;
+let schedules = new Map(); // station id -> [{ title, description, days, startMinutes, endMinutes } or { title, description, startAt, endAt }]
+let schedulesLoadedAt = 0;
+let scheduleInterval = null;
+let currentProgramme = null; // { now, next } for the current station, each { title, description, start }
+
+// IndexedDB for data that outgrows localStorage (track history, favourites, recordings)
+const DB_NAME = 'radiolive';
+const DB_VERSION = 3;
+const TRACK_HISTORY_MAX_AGE_DAYS = 30;
+const TRACK_HISTORY_PAGE = 100;
+let dbPromise = null;
+
+// User settings, persisted as one object in localStorage
+const SETTINGS_KEY = 'settingsV1';
+let settings = null;
+
 // Debug mode flag - set to true for development debugging
 const DEBUG_MODE = false;
 
@@ -29,13 +209,13 @@ function debug(...args) {
   }
 }
 
-function setMediaSessionMetadata(title, artist) {
+function setMediaSessionMetadata(title, artist, album) {
   if (!('mediaSession' in navigator)) return;
   try {
     navigator.mediaSession.metadata = new MediaMetadata({
       title: title || 'RadioLive',
       artist: artist || 'Live Radio',
-      album: 'RadioLive',
+      album: album || 'RadioLive',
       artwork: [
         { src: 'apple-touch-icon.png', sizes: '180x180', type: 'image/png' },
         { src: 'favicon.png', sizes: '512x512', type: 'image/png' }
@@ -46,11 +226,117 @@ function setMediaSessionMetadata(title, artist) {
   }
 }
 
+// Set the #now-playing text without disturbing the buttons inside it
+function setNowPlayingText(text) {
+  const nowPlaying = document.getElementById('now-playing');
+  if (!nowPlaying) return;
+  const textNode = nowPlaying.firstChild;
+  if (textNode && textNode.nodeType === Node.TEXT_NODE) {
+    textNode.textContent = text;
+  } else {
+    nowPlaying.insertBefore(document.createTextNode(text), nowPlaying.firstChild);
+  }
+}
+
+// Single renderer for what's on air: #now-playing and the media session both
+// come from currentStation plus any track info its metadata provider found
+function renderNowPlaying() {
+  if (!currentStation) return;
+  const { name, isBulletin } = currentStation;
+
+  if (isBulletin) {
+    updateFavouriteButton();
+    setNowPlayingText(`Playing: ${name}`);
+    setMediaSessionMetadata(name, 'News Bulletin');
+    return;
+  }
+
+  const info = currentTrackInfo;
+  const programme = currentProgramme || {};
+  updateFavouriteButton();
+  if (!info) {
+    setNowPlayingText(`Now Playing: ${name}`);
+    if (programme.now) {
+      // The show stands in for a track title
+      const upNext = programme.next ? `Up next: ${programme.next.start} ${programme.next.title}` : name;
+      setMediaSessionMetadata(programme.now.title, name, upNext);
+    } else {
+      setMediaSessionMetadata(name, 'Live Radio');
+    }
+    return;
+  }
+
+  setNowPlayingText(`Now Playing: ${formatTrackInfo(info)}`);
+  if (info.title) {
+    setMediaSessionMetadata(info.title, info.artist || name, name);
+  } else {
+    setMediaSessionMetadata(formatTrackInfo(info), name);
+  }
+}
+
+// A new track (or show) is on air: show it and add it to the station's history
+function updateCurrentTrack(info) {
+  currentTrackInfo = info;
+  renderNowPlaying();
+  if (currentStation && currentStation.stationId && !currentStation.isBulletin) {
+    addTrackToHistory(currentStation, info)
+      .then((added) => {
+        if (added && refreshTrackHistory) refreshTrackHistory(currentStation.stationId);
+      })
+      .catch(error => console.warn('Failed to save track history:', error));
+  }
+}
+
+function formatTrackInfo(info) {
+  if (info.artist && info.title) return `${info.artist} - ${info.title}`;
+  return info.title || info.show || info.text || '';
+}
+
 function updateMediaSessionState() {
   if (!('mediaSession' in navigator) || !audio) return;
   navigator.mediaSession.playbackState = audio.paused ? 'paused' : 'playing';
 }
 
+// Keep play/pause icons, the ON AIR indicator and the media session in step with the audio element
+function syncPlaybackUI() {
+  const isPlaying = !!(audio && !audio.paused);
+  document.querySelector('.play-icon').style.display = isPlaying ? 'none' : 'inline';
+  document.querySelector('.pause-icon').style.display = isPlaying ? 'inline' : 'none';
+  document.getElementById('play-pause-btn').classList.toggle('playing', isPlaying);
+  document.getElementById('on-air-indicator').classList.toggle('live', isPlaying);
+  document.querySelector('.on-air-text').textContent = isPlaying ? 'ON AIR' : 'OFF AIR';
+  updateMediaSessionState();
+}
+
+// Slider volume multiplied by any active volume factors
+function getOutputVolume() {
+  const slider = document.getElementById('volume-slider');
+  const base = Math.max(0, Math.min(100, parseInt(slider.value) || 0)) / 100;
+  return Object.values(volumeFactors).reduce((volume, factor) => volume * factor, base);
+}
+
+// With the sound chain attached, volume is applied at its end: not every
+// browser honours element volume once Web Audio takes over the output
+function applyOutputVolume() {
+  if (!audio) return;
+  if (audio._processing) {
+    audio.volume = 1;
+    audio._processing.output.gain.value = getOutputVolume();
+  } else {
+    audio.volume = getOutputVolume();
+  }
+}
+
+// Set a named volume multiplier (0-1); pass 1 or null to clear it
+function setVolumeFactor(name, factor) {
+  if (factor === null || factor >= 1) {
+    delete volumeFactors[name];
+  } else {
+    volumeFactors[name] = Math.max(0, factor);
+  }
+  applyOutputVolume();
+}
+
 function setupMediaSessionHandlers() {
   if (!('mediaSession' in navigator)) return;
 
@@ -74,36 +360,878 @@ function setupMediaSessionHandlers() {
     }
   });
 
+  // Step through the catch-up queue
+  navigator.mediaSession.setActionHandler('nexttrack', () => {
+    if (isQueuePlaying()) playQueueItem(bulletinQueueIndex + 1);
+  });
+  navigator.mediaSession.setActionHandler('previoustrack', () => {
+    if (!isQueuePlaying()) return;
+    // Like most players: restart the bulletin unless it's only just begun
+    if (audio.currentTime > 5) {
+      audio.currentTime = 0;
+    } else {
+      playQueueItem(Math.max(0, bulletinQueueIndex - 1));
+    }
+  });
+
   navigator.mediaSession.setActionHandler('seekbackward', (details) => {
-    if (!audio || !isFinite(audio.duration)) return;
+    const range = getSeekRange();
+    if (!range) return;
     const offset = details.seekOffset || 15;
-    audio.currentTime = Math.max(0, (audio.currentTime || 0) - offset);
+    audio.currentTime = Math.max(range.start, (audio.currentTime || 0) - offset);
   });
   navigator.mediaSession.setActionHandler('seekforward', (details) => {
-    if (!audio || !isFinite(audio.duration)) return;
+    const range = getSeekRange();
+    if (!range) return;
     const offset = details.seekOffset || 15;
-    audio.currentTime = Math.min(audio.duration, (audio.currentTime || 0) + offset);
+    audio.currentTime = Math.min(range.end, (audio.currentTime || 0) + offset);
   });
   navigator.mediaSession.setActionHandler('seekto', (details) => {
-    if (!audio || !isFinite(audio.duration) || details.seekTime === undefined) return;
-    audio.currentTime = Math.min(audio.duration, Math.max(0, details.seekTime));
+    const range = getSeekRange();
+    if (!range || details.seekTime === undefined) return;
+    audio.currentTime = Math.min(range.end, Math.max(range.start, details.seekTime));
+  });
+}
+
+// A <video> for the TV video view, placed in the player card
+function createVideoElement() {
+  const video = document.createElement('video');
+  video.playsInline = true;
+  video.setAttribute('playsinline', '');
+  const frame = document.getElementById('video-frame');
+  if (frame) frame.replaceChildren(video);
+  return video;
+}
+
+// Quality picker from the HLS levels: Auto (adaptive) plus each rendition
+function renderVideoQualityOptions(hls) {
+  const select = document.getElementById('video-quality');
+  if (!select) return;
+  const auto = document.createElement('option');
+  auto.value = '-1';
+  auto.textContent = 'Auto';
+  const levels = hls.levels.map((level, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    const height = level.height ? `${level.height}p` : `Level ${index + 1}`;
+    option.textContent = level.bitrate ? `${height} · ${Math.round(level.bitrate / 1000)} kbps` : height;
+    return option;
+  });
+  select.replaceChildren(auto, ...levels);
+  select.value = String(hls.autoLevelEnabled ? -1 : hls.currentLevel);
+  select.hidden = levels.length < 2;
+}
+
+// Show the TV controls for video stations, and the video view when it's on
+function updateVideoView() {
+  const videoBtn = document.getElementById('video-btn');
+  const view = document.getElementById('video-view');
+  const quality = document.getElementById('video-quality');
+  const showing = !!(currentStation && currentStation.isVideo && currentStation.options.showVideo);
+
+  if (videoBtn) {
+    videoBtn.hidden = !(currentStation && currentStation.isVideo);
+    videoBtn.setAttribute('aria-pressed', String(showing));
+    videoBtn.title = showing ? 'Audio only' : 'Show video';
+  }
+  if (view) view.hidden = !showing;
+  if (quality && !showing) {
+    quality.hidden = true;
+    quality.replaceChildren();
+  }
+
+  const pipBtn = document.getElementById('video-pip-btn');
+  if (pipBtn) {
+    pipBtn.hidden = !(document.pictureInPictureEnabled ||
+      (audio && typeof audio.webkitSetPresentationMode === 'function'));
+  }
+}
+
+// Swap between audio-only and the video view by reloading the TV channel on
+// the other kind of element
+function toggleVideoView() {
+  if (!currentStation || !currentStation.isVideo) return;
+  const showVideo = !currentStation.options.showVideo;
+  if (showVideo && !localStorage.getItem('tvVideoWarningShown')) {
+    localStorage.setItem('tvVideoWarningShown', '1');
+    showToast({
+      title: 'Data Usage',
+      message: 'Video uses far more data than audio-only. Pick a lower quality to save data.',
+      type: 'info',
+      duration: 5000
+    });
+  }
+  const { url, name, options } = currentStation;
+  loadStation(url, name, { ...options, showVideo });
+}
+
+function setupVideoView() {
+  const videoBtn = document.getElementById('video-btn');
+  const view = document.getElementById('video-view');
+  const quality = document.getElementById('video-quality');
+  const pipBtn = document.getElementById('video-pip-btn');
+  const fullscreenBtn = document.getElementById('video-fullscreen-btn');
+
+  if (videoBtn) videoBtn.addEventListener('click', toggleVideoView);
+
+  if (quality) {
+    quality.addEventListener('change', () => {
+      const hls = audio && audio._hlsInstance;
+      if (hls) hls.currentLevel = parseInt(quality.value, 10);
+    });
+  }
+
+  if (pipBtn) {
+    pipBtn.addEventListener('click', () => {
+      if (!audio || audio.tagName !== 'VIDEO') return;
+      if (document.pictureInPictureElement) {
+        document.exitPictureInPicture().catch(() => {});
+      } else if (typeof audio.requestPictureInPicture === 'function') {
+        audio.requestPictureInPicture().catch((error) => {
+          console.warn('Picture-in-Picture failed:', error);
+        });
+      } else if (typeof audio.webkitSetPresentationMode === 'function') {
+        // Safari
+        audio.webkitSetPresentationMode(audio.webkitPresentationMode === 'picture-in-picture' ? 'inline' : 'picture-in-picture');
+      }
+    });
+  }
+
+  if (fullscreenBtn && view) {
+    fullscreenBtn.addEventListener('click', () => {
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      } else if (typeof view.requestFullscreen === 'function') {
+        view.requestFullscreen().catch(error => console.warn('Fullscreen failed:', error));
+      } else if (audio && typeof audio.webkitEnterFullscreen === 'function') {
+        // iOS only allows the video element itself to go fullscreen
+        audio.webkitEnterFullscreen();
+      }
+    });
+  }
+
+  updateVideoView();
+}
+
+// Sound settings are kept per station; bulletins share one set per provider,
+// and recordings one between them. The alarm tone has none.
+function getProcessingKey(options) {
+  if (options.stationId) return options.stationId;
+  if (options.bulletin) return `bulletin:${options.bulletin.providerId}`;
+  if (options.recording) return 'recordings';
+  return null;
+}
+
+function loadAudioProcessingSettings() {
+  if (audioProcessingSettings) return audioProcessingSettings;
+  try {
+    audioProcessingSettings = JSON.parse(localStorage.getItem(AUDIO_PROCESSING_KEY)) || {};
+  } catch (error) {
+    console.warn('Failed to read sound settings:', error);
+    audioProcessingSettings = {};
+  }
+  return audioProcessingSettings;
+}
+
+function getAudioProcessing(key) {
+  const saved = (key && loadAudioProcessingSettings()[key]) || {};
+  return {
+    trimDb: saved.trimDb || 0,
+    eq: EQ_BANDS.map((band, index) => (saved.eq && saved.eq[index]) || 0),
+    loudness: !!saved.loudness,
+    mono: !!saved.mono
+  };
+}
+
+// Neutral settings are forgotten rather than stored
+function setAudioProcessing(key, processing) {
+  const all = loadAudioProcessingSettings();
+  if (isNeutralProcessing(processing)) {
+    delete all[key];
+  } else {
+    all[key] = processing;
+  }
+  try {
+    localStorage.setItem(AUDIO_PROCESSING_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn('Failed to save sound settings:', e);
+  }
+}
+
+function isNeutralProcessing(processing) {
+  return !processing.trimDb && !processing.loudness && !processing.mono && processing.eq.every(gain => !gain);
+}
+
+function getEqPresetId(gains) {
+  const preset = EQ_PRESETS.find(p => p.gains.every((gain, index) => gain === gains[index]));
+  return preset ? preset.id : 'custom';
+}
+
+function canProcessAudio(url) {
+  return !!(window.AudioContext || window.webkitAudioContext) && !webAudioBlockedUrls.has(url);
+}
+
+// One context for the app; it starts suspended until a tap resumes it
+function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(error => debug('AudioContext resume failed:', error));
+  }
+  return audioContext;
+}
+
+// Route a media element through gain trim → EQ → loudness → mono → volume.
+// An element can only be connected once, so the graph lives and dies with it.
+function connectAudioProcessing(element) {
+  const context = getAudioContext();
+  if (!context) return null;
+  try {
+    const source = context.createMediaElementSource(element);
+    const trim = context.createGain();
+    const eq = EQ_BANDS.map((band) => {
+      const filter = context.createBiquadFilter();
+      filter.type = band.type;
+      filter.frequency.value = band.frequency;
+      return filter;
+    });
+    // Levelling: squash peaks, then lift the whole signal back up
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -30;
+    compressor.knee.value = 20;
+    compressor.ratio.value = 4;
+    compressor.attack.value = 0.01;
+    compressor.release.value = 0.3;
+    const makeup = context.createGain();
+    makeup.gain.value = dbToGain(LOUDNESS_MAKEUP_DB);
+    // A one-channel node mixes stereo down; the destination plays it in both ears
+    const downmix = context.createGain();
+    downmix.channelCountMode = 'explicit';
+    downmix.channelInterpretation = 'speakers';
+    downmix.channelCount = 2;
+    const output = context.createGain();
+    // Listens to the stream as it arrives (silence skipping)
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+
+    source.connect(trim);
+    source.connect(analyser);
+    [trim, ...eq].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+    eq[eq.length - 1].connect(downmix);
+    compressor.connect(makeup);
+    makeup.connect(downmix);
+    downmix.connect(output);
+    output.connect(context.destination);
+    return { source, trim, eq, compressor, downmix, output, analyser, loudness: false };
+  } catch (error) {
+    console.warn('Sound processing unavailable:', error);
+    return null;
+  }
+}
+
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+// Bring the current element's graph in line with its station's settings
+function applyAudioProcessing() {
+  const chain = audio && audio._processing;
+  if (!chain || !currentStation) return;
+  const processing = getAudioProcessing(currentStation.processingKey);
+  chain.trim.gain.value = dbToGain(processing.trimDb);
+  chain.eq.forEach((filter, index) => {
+    filter.gain.value = processing.eq[index];
+  });
+  if (chain.loudness !== processing.loudness) {
+    const lastBand = chain.eq[chain.eq.length - 1];
+    lastBand.disconnect();
+    lastBand.connect(processing.loudness ? chain.compressor : chain.downmix);
+    chain.loudness = processing.loudness;
+  }
+  chain.downmix.channelCount = processing.mono ? 1 : 2;
+}
+
+// Put the current element on the sound graph. Elements fed through
+// MediaSource (HLS.js, time-shift) or a blob can join as they are; a plain
+// stream URL has to be reloaded with CORS first. True once it's attached.
+function attachAudioProcessing() {
+  if (!audio || !currentStation) return false;
+  if (audio._processing) return true;
+  if (!currentStation.processingKey || !canProcessAudio(currentStation.url)) return false;
+  if (audio._hlsInstance || audio._timeShiftFeed || audio._objectUrl) {
+    audio._processing = connectAudioProcessing(audio);
+    applyOutputVolume();
+    return !!audio._processing;
+  }
+  const { url, name, options } = currentStation;
+  loadStation(url, name, { ...options, reconnecting: true });
+  return false;
+}
+
+// Save a change to the current station's sound
+function updateAudioProcessing(changes) {
+  if (!currentStation || !currentStation.processingKey) return;
+  const processing = { ...getAudioProcessing(currentStation.processingKey), ...changes };
+  setAudioProcessing(currentStation.processingKey, processing);
+  if (!isNeutralProcessing(processing)) attachAudioProcessing();
+  applyAudioProcessing();
+  if (refreshSoundPanel) refreshSoundPanel();
+}
+
+// Keep voices at their natural pitch at any speed. Older Firefox and Safari
+// only know the prefixed names.
+function setPlaybackRate(element, rate) {
+  element.preservesPitch = true;
+  element.mozPreservesPitch = true;
+  element.webkitPreservesPitch = true;
+  element.playbackRate = rate;
+}
+
+// Loudness of what the analyser hears right now, in dBFS
+function getAudioLevelDb(analyser) {
+  if (!analyser._samples) analyser._samples = new Float32Array(analyser.fftSize);
+  const samples = analyser._samples;
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+function isSilenceSkippable() {
+  return !!(currentStation && currentStation.isBulletin && currentStation.processingKey &&
+    canProcessAudio(currentStation.url));
+}
+
+// Once a gap has lasted long enough to be more than a pause for breath, jump
+// ahead a step, listen briefly, and keep jumping until sound returns. The
+// jumped media time counts as time saved.
+function checkSilence() {
+  const chain = audio && audio._processing;
+  if (!chain || audio.paused) return;
+  if (audio.seeking) {
+    silenceJumpedAt = performance.now();
+    return;
+  }
+  if (performance.now() - silenceJumpedAt < SILENCE_SETTLE_MS) return;
+  if (getAudioLevelDb(chain.analyser) >= SILENCE_THRESHOLD_DB) {
+    silenceStartedAt = null;
+    return;
+  }
+  if (silenceStartedAt === null) silenceStartedAt = audio.currentTime;
+  if (audio.currentTime - silenceStartedAt < SILENCE_MIN_SECONDS) return;
+
+  const remaining = isFinite(audio.duration) ? audio.duration - audio.currentTime : SILENCE_JUMP_SECONDS;
+  const jump = Math.min(SILENCE_JUMP_SECONDS, remaining);
+  if (jump <= 0) return;
+  audio.currentTime += jump;
+  silenceJumpedAt = performance.now();
+  timeSaved.seconds += jump;
+  timeSaved.wallTime = null; // The next timeupdate measures afresh
+  updateSilenceControls();
+}
+
+// Run the silence check while a bulletin or recording plays with skipping on
+function updateSilenceSkipping() {
+  const active = getSetting('skipSilences', false) && isSilenceSkippable() && !!(audio && audio._processing);
+  silenceStartedAt = null;
+  if (active && !silenceCheckTimer) {
+    silenceCheckTimer = setInterval(checkSilence, SILENCE_CHECK_MS);
+  } else if (!active && silenceCheckTimer) {
+    clearInterval(silenceCheckTimer);
+    silenceCheckTimer = null;
+  }
+  updateSilenceControls();
+}
+
+function toggleSkipSilences() {
+  const enabled = !getSetting('skipSilences', false);
+  setSetting('skipSilences', enabled);
+  // Attaching may reload the bulletin, which starts the check itself
+  if (enabled && isSilenceSkippable() && !attachAudioProcessing()) return;
+  updateSilenceSkipping();
+}
+
+// Count media time played faster than real time at fast speeds (jumped
+// silences are counted by checkSilence). Gaps between timeupdates (pauses,
+// stalls) and seeks aren't playback, so they're left out.
+function trackTimeSaved() {
+  const now = performance.now();
+  const mediaTime = audio.currentTime;
+  if (timeSaved.wallTime !== null && !audio.paused) {
+    const wall = (now - timeSaved.wallTime) / 1000;
+    const media = mediaTime - timeSaved.mediaTime;
+    if (wall < 1 && media > 0 && media <= wall * (currentSpeed + 1)) {
+      timeSaved.seconds += media - wall;
+    }
+  }
+  timeSaved.mediaTime = mediaTime;
+  timeSaved.wallTime = now;
+}
+
+function updateSilenceControls() {
+  const extras = document.getElementById('speed-extras');
+  const button = document.getElementById('skip-silence-btn');
+  const note = document.getElementById('skip-silence-note');
+  const saved = document.getElementById('time-saved');
+  const isBulletin = !!(currentStation && currentStation.isBulletin);
+  if (extras) extras.hidden = !isBulletin;
+  if (button) {
+    const enabled = getSetting('skipSilences', false);
+    button.setAttribute('aria-pressed', String(enabled));
+    button.classList.toggle('selected', enabled);
+    button.disabled = !isSilenceSkippable();
+    button.title = button.disabled ? 'Not available for this bulletin' : 'Skip silences';
+  }
+  // Skipping has to hear the audio, which the host has to allow (CORS)
+  if (note) {
+    note.hidden = !isBulletin || isSilenceSkippable();
+    note.textContent = (window.AudioContext || window.webkitAudioContext)
+      ? "Unavailable: this bulletin's host doesn't allow the app to analyse its audio"
+      : "Unavailable: this browser can't analyse audio";
+  }
+  if (saved) {
+    const seconds = Math.floor(timeSaved.seconds);
+    saved.hidden = seconds < 1;
+    saved.textContent = `${formatTime(seconds)} saved`;
+  }
+}
+
+function prefersReducedMotion() {
+  return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+// Start or stop drawing: the visualiser is on, the audio is on the sound
+// chain and playing, and the tab can be seen
+function updateVisualiser() {
+  const canvas = document.getElementById('visualiser');
+  const card = document.querySelector('.player-card');
+  if (!canvas) return;
+  const mode = getSetting('visualiser', 'off');
+  const available = mode !== 'off' && !!(audio && audio._processing);
+  canvas.hidden = !available;
+  if (card) card.classList.toggle('visualising', available);
+
+  const running = available && !audio.paused && !document.hidden;
+  if (running && !visualiserFrame) {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio) || 300;
+    canvas.height = Math.round(canvas.clientHeight * ratio) || 40;
+    visualiserFrame = requestAnimationFrame(drawVisualiser);
+  } else if (!running && visualiserFrame) {
+    cancelAnimationFrame(visualiserFrame);
+    visualiserFrame = null;
+  }
+}
+
+function drawVisualiser(now) {
+  visualiserFrame = requestAnimationFrame(drawVisualiser);
+  if (prefersReducedMotion() && now - lastVisualiserDraw < VISUALISER_REDUCED_MOTION_MS) return;
+  lastVisualiserDraw = now;
+
+  const canvas = document.getElementById('visualiser');
+  const context = canvas && canvas.getContext('2d');
+  const analyser = audio && audio._processing && audio._processing.analyser;
+  if (!context || !analyser) return;
+  const { width, height } = canvas;
+  context.clearRect(0, 0, width, height);
+  context.fillStyle = '#5a8bc4';
+  context.strokeStyle = '#5a8bc4';
+
+  const mode = getSetting('visualiser', 'off');
+  if (mode === 'spectrum') {
+    drawSpectrum(context, analyser, width, height);
+  } else if (mode === 'waveform') {
+    drawWaveform(context, analyser, width, height);
+  } else if (mode === 'meter') {
+    drawLevelMeter(context, analyser, width, height, now);
+  }
+}
+
+// Bars on a log frequency scale, so the bass doesn't get a single bar
+function drawSpectrum(context, analyser, width, height) {
+  if (!analyser._frequencies) analyser._frequencies = new Uint8Array(analyser.frequencyBinCount);
+  const bins = analyser._frequencies;
+  analyser.getByteFrequencyData(bins);
+  const gap = 2;
+  const barWidth = (width - gap * (VISUALISER_BARS - 1)) / VISUALISER_BARS;
+  for (let bar = 0; bar < VISUALISER_BARS; bar++) {
+    const from = Math.floor(Math.pow(bins.length, bar / VISUALISER_BARS));
+    const to = Math.max(from + 1, Math.floor(Math.pow(bins.length, (bar + 1) / VISUALISER_BARS)));
+    let peak = 0;
+    for (let i = from; i < to && i < bins.length; i++) peak = Math.max(peak, bins[i]);
+    const barHeight = Math.max(1, (peak / 255) * height);
+    context.fillRect(bar * (barWidth + gap), height - barHeight, barWidth, barHeight);
+  }
+}
+
+function drawWaveform(context, analyser, width, height) {
+  if (!analyser._waveform) analyser._waveform = new Uint8Array(analyser.fftSize);
+  const samples = analyser._waveform;
+  analyser.getByteTimeDomainData(samples);
+  context.lineWidth = 2;
+  context.beginPath();
+  for (let i = 0; i < samples.length; i++) {
+    const x = (i / (samples.length - 1)) * width;
+    const y = (samples[i] / 255) * height;
+    if (i === 0) {
+      context.moveTo(x, y);
+    } else {
+      context.lineTo(x, y);
+    }
+  }
+  context.stroke();
+}
+
+// Horizontal bar from -60 dBFS to 0, with a peak marker that holds briefly
+function drawLevelMeter(context, analyser, width, height, now) {
+  const db = Math.max(METER_FLOOR_DB, getAudioLevelDb(analyser));
+  if (db >= meterPeak.db || now - meterPeak.at > METER_PEAK_HOLD_MS) {
+    meterPeak = { db, at: now };
+  }
+  const toX = value => ((value - METER_FLOOR_DB) / -METER_FLOOR_DB) * width;
+  const barHeight = height / 2;
+  const top = (height - barHeight) / 2;
+  context.fillRect(0, top, toX(db), barHeight);
+  context.fillStyle = '#cc3333';
+  context.fillRect(Math.max(0, toX(meterPeak.db) - 2), top, 2, barHeight);
+}
+
+function setupVisualiser() {
+  const playbackSettings = document.getElementById('playback-settings');
+  if (playbackSettings) {
+    addSettingsSelect(playbackSettings, 'Visualiser', VISUALISER_MODES, getSetting('visualiser', 'off'), (value) => {
+      setSetting('visualiser', value);
+      // May reload a plain stream URL so Web Audio can hear it
+      if (value !== 'off') attachAudioProcessing();
+      updateVisualiser();
+    });
+  }
+
+  // Hidden tabs don't need drawing; save the battery
+  document.addEventListener('visibilitychange', updateVisualiser);
+  updateVisualiser();
+}
+
+function getProcessingLabel(key) {
+  if (key === 'recordings') return 'Recordings';
+  if (key.startsWith('bulletin:')) {
+    const provider = bulletinProviders.get(key.slice('bulletin:'.length));
+    return provider ? `${getBulletinProviderName(provider)} news` : 'News';
+  }
+  return currentStation.name;
+}
+
+function setupSoundPanel() {
+  const soundBtn = document.getElementById('sound-btn');
+  const panel = document.getElementById('sound-panel');
+  const stationLabel = document.getElementById('sound-station');
+  const presetSelect = document.getElementById('sound-preset');
+  const eqContainer = document.getElementById('sound-eq');
+  const trimSlider = document.getElementById('sound-trim');
+  const trimValue = document.getElementById('sound-trim-value');
+  const loudnessToggle = document.getElementById('sound-loudness');
+  const monoToggle = document.getElementById('sound-mono');
+  const resetBtn = document.getElementById('sound-reset');
+  if (!soundBtn || !panel || !presetSelect || !eqContainer || !trimSlider) return;
+
+  presetSelect.replaceChildren(...[...EQ_PRESETS, { id: 'custom', name: 'Custom' }].map((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    return option;
+  }));
+
+  const eqSliders = EQ_BANDS.map((band, index) => {
+    const column = document.createElement('label');
+    column.className = 'sound-band';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = String(-EQ_MAX_DB);
+    slider.max = String(EQ_MAX_DB);
+    slider.step = '1';
+    slider.setAttribute('aria-label', `${band.label} (${band.frequency} Hz)`);
+    slider.addEventListener('input', () => {
+      const eq = getAudioProcessing(currentStation.processingKey).eq;
+      eq[index] = parseInt(slider.value, 10);
+      updateAudioProcessing({ eq });
+    });
+    const text = document.createElement('span');
+    text.textContent = band.label;
+    column.append(slider, text);
+    eqContainer.appendChild(column);
+    return slider;
+  });
+
+  trimSlider.min = String(-GAIN_TRIM_MAX_DB);
+  trimSlider.max = String(GAIN_TRIM_MAX_DB);
+
+  function render() {
+    const key = currentStation && currentStation.processingKey;
+    const supported = !!key && canProcessAudio(currentStation.url);
+    const processing = getAudioProcessing(key);
+
+    soundBtn.classList.toggle('tuned', supported && !isNeutralProcessing(processing));
+    if (stationLabel) {
+      if (!key) {
+        stationLabel.textContent = 'Play a station to adjust its sound';
+      } else if (!supported) {
+        stationLabel.textContent = `Sound settings aren't available for ${currentStation.name}`;
+      } else {
+        stationLabel.textContent = `Sound for ${getProcessingLabel(key)}`;
+      }
+    }
+    panel.querySelectorAll('input, select, button').forEach((control) => {
+      control.disabled = !supported;
+    });
+
+    presetSelect.value = getEqPresetId(processing.eq);
+    presetSelect.querySelector('option[value="custom"]').hidden = presetSelect.value !== 'custom';
+    eqSliders.forEach((slider, index) => {
+      slider.value = String(processing.eq[index]);
+    });
+    trimSlider.value = String(processing.trimDb);
+    if (trimValue) trimValue.textContent = `${processing.trimDb > 0 ? '+' : ''}${processing.trimDb} dB`;
+    if (loudnessToggle) loudnessToggle.checked = processing.loudness;
+    if (monoToggle) monoToggle.checked = processing.mono;
+  }
+  refreshSoundPanel = render;
+
+  soundBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    soundBtn.classList.toggle('active', !panel.hidden);
+    if (!panel.hidden) render();
+  });
+
+  presetSelect.addEventListener('change', () => {
+    const preset = EQ_PRESETS.find(p => p.id === presetSelect.value);
+    if (preset) updateAudioProcessing({ eq: [...preset.gains] });
+  });
+  trimSlider.addEventListener('input', () => {
+    updateAudioProcessing({ trimDb: parseInt(trimSlider.value, 10) });
   });
+  if (loudnessToggle) {
+    loudnessToggle.addEventListener('change', () => updateAudioProcessing({ loudness: loudnessToggle.checked }));
+  }
+  if (monoToggle) {
+    monoToggle.addEventListener('change', () => updateAudioProcessing({ mono: monoToggle.checked }));
+  }
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      updateAudioProcessing({ trimDb: 0, eq: EQ_BANDS.map(() => 0), loudness: false, mono: false });
+    });
+  }
+
+  render();
+}
+
+// The part of the current audio that can be scrubbed: a bulletin's full length,
+// or a live station's time-shift buffer (whose end is the live edge)
+function getSeekRange() {
+  if (!audio || !currentStation) return null;
+  if (!audio._timeShift) {
+    if (!isFinite(audio.duration) || audio.duration <= 0 || !audio.seekable || audio.seekable.length === 0) return null;
+    return { start: 0, end: audio.duration, live: false };
+  }
+  const buffered = audio.buffered;
+  if (!buffered || buffered.length === 0) return null;
+  const start = buffered.start(0);
+  const end = buffered.end(buffered.length - 1);
+  return end - start >= 1 ? { start, end, live: true } : null;
+}
+
+function getTimeShiftSeconds() {
+  return (getSetting('timeShiftMinutes', TIMESHIFT_DEFAULT_MINUTES) || 0) * 60;
+}
+
+// Jump back to the live edge of a time-shifted station
+function seekToLive() {
+  const range = getSeekRange();
+  if (!range || !range.live) return;
+  const hls = audio._hlsInstance;
+  const livePosition = hls && isFinite(hls.liveSyncPosition) ? hls.liveSyncPosition : range.end - 1;
+  audio.currentTime = Math.min(range.end, Math.max(range.start, livePosition));
+  if (audio.paused) audio.play().catch(() => {});
+}
+
+// Play an Icecast mount through MediaSource, fed from our own fetch of the
+// stream, so the last `windowSeconds` stay buffered for pause and rewind.
+// Titles come from the ICY sampler, as for plain playback. If the mount can't
+// be fetched (usually CORS), `onUnsupported` is called before anything has
+// played so the caller can fall back to a plain src. Any later failure stops
+// the feed and raises `error` on the element, for the reconnect path.
+function startIcecastTimeShift(mediaElement, url, mimeType, windowSeconds, { onUnsupported }) {
+  const controller = new AbortController();
+  const mediaSource = new MediaSource();
+  const objectUrl = URL.createObjectURL(mediaSource);
+  let sourceBuffer = null;
+  let queue = [];
+  let received = false;
+  let failed = false;
+
+  function fail(error) {
+    if (failed || controller.signal.aborted) return;
+    failed = true;
+    debug('Time-shift feed failed:', error.message);
+    controller.abort();
+    queue = [];
+    mediaElement.dispatchEvent(new Event('error'));
+  }
+
+  // Drop audio that has fallen out of the window, 30s at a time
+  function trim() {
+    const buffered = sourceBuffer.buffered;
+    if (buffered.length === 0) return false;
+    const start = buffered.start(0);
+    const keepFrom = buffered.end(buffered.length - 1) - windowSeconds;
+    if (keepFrom - start < 30) return false;
+    sourceBuffer.remove(start, keepFrom);
+    return true;
+  }
+
+  function pump() {
+    if (failed || !sourceBuffer || sourceBuffer.updating || mediaSource.readyState !== 'open') return;
+    // A long pause can leave the playhead behind what's been trimmed
+    const buffered = sourceBuffer.buffered;
+    if (buffered.length > 0 && mediaElement.currentTime < buffered.start(0)) {
+      mediaElement.currentTime = buffered.start(0);
+    }
+    if (trim() || queue.length === 0) return;
+
+    const chunk = new Uint8Array(queue.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    queue.forEach((part) => {
+      chunk.set(part, offset);
+      offset += part.length;
+    });
+    queue = [];
+    try {
+      sourceBuffer.appendBuffer(chunk);
+    } catch (error) {
+      // Anything but a full buffer (the element was torn down, or errored on
+      // bad data) ends the feed
+      if (error.name !== 'QuotaExceededError') {
+        fail(error);
+        return;
+      }
+      // The browser's buffer is smaller than the window asked for; shrink it
+      windowSeconds = Math.max(60, windowSeconds * 0.75);
+      queue.unshift(chunk);
+      try {
+        trim();
+      } catch (trimError) {
+        fail(trimError);
+      }
+    }
+  }
+
+  mediaSource.addEventListener('sourceopen', () => {
+    try {
+      sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+    } catch (error) {
+      onUnsupported(error);
+      return;
+    }
+    sourceBuffer.mode = 'sequence';
+    sourceBuffer.addEventListener('updateend', () => {
+      try {
+        pump();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    readIcyStream(url, {
+      signal: controller.signal,
+      onAudio: (bytes) => {
+        received = true;
+        queue.push(bytes.slice());
+        try {
+          pump();
+        } catch (error) {
+          fail(error);
+        }
+      }
+    }).then(() => {
+      // The server closed the stream
+      if (!controller.signal.aborted) mediaElement.dispatchEvent(new Event('error'));
+    }).catch((error) => {
+      if (error.name === 'AbortError') return;
+      if (!received) {
+        onUnsupported(error);
+      } else {
+        mediaElement.dispatchEvent(new Event('error'));
+      }
+    });
+  }, { once: true });
+
+  mediaElement.src = objectUrl;
+  return {
+    stop() {
+      controller.abort();
+      URL.revokeObjectURL(objectUrl);
+    }
+  };
+}
+
+function getIcecastMimeType(format) {
+  const mimeType = format === 'aac' ? 'audio/aac' : format === 'mp3' ? 'audio/mpeg' : null;
+  return mimeType && typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(mimeType) ? mimeType : null;
 }
 
+// Whether a URL is on a bulletin provider's host. Only the host counts: a
+// custom station's Icecast mount can end in .mp3 too.
 function isBulletinUrl(url) {
   try {
     const parsed = new URL(url);
-    const isMp3 = parsed.pathname.endsWith('.mp3');
-    const isKnownHost = [
-      'podcast.radionz.co.nz',
-      'weekondemand.newstalkzb.co.nz'
-    ].some(host => parsed.hostname.includes(host));
-    return isMp3 || isKnownHost;
+    return Array.from(bulletinProviders.values())
+      .some(provider => parsed.hostname.includes(new URL(provider.urlTemplate).hostname));
   } catch (e) {
     return false;
   }
 }
 
+function isHlsUrl(url) {
+  return url.includes('.m3u8');
+}
+
+function getSetting(key, fallback) {
+  if (!settings) {
+    try {
+      settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') || {};
+    } catch (e) {
+      settings = {};
+    }
+  }
+  return settings[key] !== undefined ? settings[key] : fallback;
+}
+
+function setSetting(key, value) {
+  getSetting(key); // Ensure settings are loaded
+  settings[key] = value;
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Failed to save settings:', e);
+  }
+}
+
+// Escape user-provided text before it goes into toast innerHTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function formatTime(seconds) {
   if (!isFinite(seconds) || seconds < 0) return '0:00';
   const totalSeconds = Math.floor(seconds);
@@ -116,7 +1244,6 @@ function formatTime(seconds) {
 let toastQueue = [];
 let activeToasts = 0;
 const MAX_TOASTS = 3;
-let bfmMetadataFailures = 0;
 
 function showToast(options) {
   const {
@@ -277,24 +1404,21 @@ if ('serviceWorker' in navigator) {
   });
 }
 
-// Get New Zealand time (handles both NZDT UTC+13 and NZST UTC+12 automatically)
-function getNZDTTime() {
-  // Use Intl API to get proper NZ time with automatic DST handling
-  const now = new Date();
-
-  // Format date parts in Pacific/Auckland timezone
+// Get the wall-clock time in a timezone, as a Date whose local fields hold that zone's values
+function getZonedTime(timeZone, instant = new Date()) {
+  // Format date parts in the requested timezone (Intl handles DST automatically)
   const formatter = new Intl.DateTimeFormat('en-NZ', {
-    timeZone: 'Pacific/Auckland',
+    timeZone,
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
-    hour12: false
+    hourCycle: 'h23'
   });
 
-  const parts = formatter.formatToParts(now);
+  const parts = formatter.formatToParts(instant);
   const dateParts = {};
   parts.forEach(part => {
     if (part.type !== 'literal') {
@@ -302,9 +1426,9 @@ function getNZDTTime() {
     }
   });
 
-  // Construct a Date object with NZ time values
-  // Note: This creates a Date in local timezone but with NZ time values
-  const nzDate = new Date(
+  // Construct a Date object with the zone's time values
+  // Note: This creates a Date in local timezone but with the zone's time values
+  return new Date(
     parseInt(dateParts.year),
     parseInt(dateParts.month) - 1,
     parseInt(dateParts.day),
@@ -312,93 +1436,219 @@ function getNZDTTime() {
     parseInt(dateParts.minute),
     parseInt(dateParts.second)
   );
+}
 
-  return nzDate;
+// Get New Zealand time (handles both NZDT UTC+13 and NZST UTC+12 automatically)
+function getNZDTTime(instant = new Date()) {
+  return getZonedTime('Pacific/Auckland', instant);
 }
 
-// Format date for RNZ: YYYYMMDD-HHMM
-function formatRNZDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hour = String(date.getHours()).padStart(2, '0');
-  return `${year}${month}${day}-${hour}00`;
+// UTC offset of a timezone at a given instant, in minutes
+function getTimeZoneOffsetMinutes(timeZone, instant) {
+  const zoned = getZonedTime(timeZone, instant);
+  const zonedAsUTC = Date.UTC(
+    zoned.getFullYear(), zoned.getMonth(), zoned.getDate(),
+    zoned.getHours(), zoned.getMinutes(), zoned.getSeconds()
+  );
+  return Math.round((zonedAsUTC - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
 }
 
-// Format date for NewstalkZB: YYYY.MM.DD-HH.00.00
-function formatZBDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hour = String(date.getHours()).padStart(2, '0');
-  return `${year}.${month}.${day}-${hour}.00.00`;
+// Check if a timezone is observing daylight saving at a given instant
+function isDaylightSavingTime(timeZone, instant = new Date()) {
+  const year = instant.getUTCFullYear();
+  const janOffset = getTimeZoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 0, 1)));
+  const julOffset = getTimeZoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 6, 1)));
+  if (janOffset === julOffset) return false;
+  return getTimeZoneOffsetMinutes(timeZone, instant) > Math.min(janOffset, julOffset);
 }
 
-// Generate RNZ news bulletin URL
-function getRNZNewsURL(hoursBack = 0) {
-  const now = getNZDTTime();
-  now.setHours(now.getHours() - hoursBack);
-  const dateStr = formatRNZDate(now);
-  return `https://podcast.radionz.co.nz/news/${dateStr}-064.mp3`;
+function formatBulletinHour(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:00`;
 }
 
-// Check if NZ is currently in daylight saving (NZDT).
-// NewstalkZB suffixes files with "D" during NZDT and "S" during NZST.
-function isNZDST() {
-  const jan = new Date(new Date().getFullYear(), 0, 1)
-    .toLocaleString('en-NZ', { timeZone: 'Pacific/Auckland', timeZoneName: 'short' });
-  const now = new Date()
-    .toLocaleString('en-NZ', { timeZone: 'Pacific/Auckland', timeZoneName: 'short' });
-  // January is summer (NZDT) in NZ; if current matches January's offset name, we're in NZDT.
-  return now.includes('NZDT');
+// News bulletin providers. A provider describes where its bulletins live and
+// how they are labelled; loading, fallback and the archive picker are generic.
+//
+// urlTemplate tokens:
+//   {YYYY} {MM} {DD} {HH}  bulletin date and hour in the provider's timezone
+//   {DST}                  'D' during daylight saving, 'S' otherwise
+//   {anything else}        looked up in provider.params
+//
+// Providers with `regions` let the user pick a region in settings; the chosen
+// region id is passed to the template as {region}.
+const bulletinProviders = new Map();
+
+function registerBulletinProvider(definition) {
+  const provider = {
+    timeZone: 'Pacific/Auckland',
+    cadenceHours: 1, // Hours between bulletins
+    fallbackDepth: 1, // Earlier bulletins to try when the latest is missing
+    archiveHours: BULLETIN_ARCHIVE_MAX_HOURS,
+    params: {},
+    ...definition
+  };
+  bulletinProviders.set(provider.id, provider);
+  loadedBulletinTimes[provider.id] = null;
+  return provider;
 }
 
-// Generate NewstalkZB news URL
-function getZBNewsURL(hoursBack = 0) {
-  const now = getNZDTTime();
-  now.setHours(now.getHours() - hoursBack);
-  const dateStr = formatZBDate(now);
-  const suffix = isNZDST() ? 'D' : 'S';
-  return `https://weekondemand.newstalkzb.co.nz/WeekOnDemand/ZB/auckland/${dateStr}-${suffix}.mp3`;
+registerBulletinProvider({
+  id: 'rnz',
+  name: 'RNZ',
+  label: 'RNZ News',
+  urlTemplate: 'https://podcast.radionz.co.nz/news/{YYYY}{MM}{DD}-{HH}00-064.mp3',
+  labelElementId: 'rnz-news-time'
+});
+
+registerBulletinProvider({
+  id: 'newstalkzb',
+  name: 'NewstalkZB',
+  label: 'NewstalkZB',
+  urlTemplate: 'https://weekondemand.newstalkzb.co.nz/WeekOnDemand/ZB/{region}/{YYYY}.{MM}.{DD}-{HH}.00.00-{DST}.mp3',
+  labelElementId: 'ztb-news-time',
+  regions: [
+    { id: 'auckland', name: 'Auckland' },
+    { id: 'wellington', name: 'Wellington' },
+    { id: 'christchurch', name: 'Christchurch' }
+  ],
+  defaultRegion: 'auckland'
+});
+
+// The user's chosen region for a provider, or null if the provider has no regions
+function getBulletinRegion(provider) {
+  if (!provider.regions || provider.regions.length === 0) return null;
+  const chosen = getSetting('bulletinRegions', {})[provider.id] || provider.defaultRegion;
+  return provider.regions.find(region => region.id === chosen) || provider.regions[0];
+}
+
+function setBulletinRegion(providerId, regionId) {
+  const regions = { ...getSetting('bulletinRegions', {}), [providerId]: regionId };
+  setSetting('bulletinRegions', regions);
+  // The loaded bulletin belongs to the old region, so let the label follow the new one
+  loadedBulletinTimes[providerId] = null;
+  updateNewsButtonTimes();
+  updateAutoDownloadPlan().catch(error => console.warn('Failed to update auto-download plan:', error));
+}
+
+// Provider name including the chosen region, e.g. "NewstalkZB Christchurch"
+function getBulletinProviderName(provider) {
+  const region = getBulletinRegion(provider);
+  return region ? `${provider.name} ${region.name}` : provider.name;
+}
+
+// Label shown on the news button, e.g. "08:00 bulletin" or "08:00 Christchurch bulletin"
+function formatBulletinButtonLabel(provider, label) {
+  const region = getBulletinRegion(provider);
+  return region ? `${label} ${region.name} bulletin` : `${label} bulletin`;
+}
+
+// The bulletin `stepsBack` cadences before the latest one: its wall-clock date in
+// the provider's timezone, and the real instant it was published
+function getBulletinSlot(provider, stepsBack = 0) {
+  const now = new Date();
+  const wall = getZonedTime(provider.timeZone, now);
+  const latestHour = Math.floor(wall.getHours() / provider.cadenceHours) * provider.cadenceHours;
+  const date = new Date(wall);
+  date.setHours(latestHour - stepsBack * provider.cadenceHours, 0, 0, 0);
+  const instant = new Date(now.getTime() - (wall.getTime() - date.getTime()));
+  return { date, instant };
+}
+
+function buildBulletinURL(provider, slot) {
+  const { date, instant } = slot;
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    DD: String(date.getDate()).padStart(2, '0'),
+    HH: String(date.getHours()).padStart(2, '0'),
+    DST: isDaylightSavingTime(provider.timeZone, instant) ? 'D' : 'S'
+  };
+  return provider.urlTemplate.replace(/\{(\w+)\}/g, (match, key) => {
+    if (key in tokens) return tokens[key];
+    const region = getBulletinRegion(provider);
+    if (key === 'region' && region) return encodeURIComponent(region.id);
+    if (provider.params[key] !== undefined) return encodeURIComponent(provider.params[key]);
+    console.warn(`Unknown token ${match} in ${provider.id} bulletin URL template`);
+    return match;
+  });
+}
+
+// Generate a bulletin URL for a provider, `stepsBack` bulletins before the latest
+function getBulletinURL(providerId, stepsBack = 0) {
+  const provider = bulletinProviders.get(providerId);
+  return buildBulletinURL(provider, getBulletinSlot(provider, stepsBack));
+}
+
+function resetLoadedBulletinTimes() {
+  Object.keys(loadedBulletinTimes).forEach((id) => {
+    loadedBulletinTimes[id] = null;
+  });
 }
 
 // Update news button time displays
 function updateNewsButtonTimes() {
-  const now = getNZDTTime();
-  const hour = now.getHours();
-  const timeStr = `${String(hour).padStart(2, '0')}:00`;
+  debug(`updateNewsButtonTimes called. Loaded bulletin times:`, loadedBulletinTimes);
 
-  debug(`updateNewsButtonTimes called. Current hour: ${timeStr}`);
-  debug(`Loaded bulletin times:`, loadedBulletinTimes);
+  bulletinProviders.forEach((provider) => {
+    const labelElem = document.getElementById(provider.labelElementId);
+    if (!labelElem) return;
 
-  // Only update if no bulletin is currently loaded for that station
-  if (loadedBulletinTimes.rnz === null) {
-    debug(`Updating RNZ time to ${timeStr}`);
-    document.getElementById('rnz-news-time').textContent = `${timeStr} bulletin`;
-  } else {
-    debug(`Not updating RNZ time, bulletin loaded for ${loadedBulletinTimes.rnz}:00`);
-  }
-  if (loadedBulletinTimes.newstalkzb === null) {
-    debug(`Updating ZB time to ${timeStr}`);
-    document.getElementById('ztb-news-time').textContent = `${timeStr} bulletin`;
-  } else {
-    debug(`Not updating ZB time, bulletin loaded for ${loadedBulletinTimes.newstalkzb}:00`);
-  }
+    // Only update if no bulletin is currently loaded for that provider
+    if (loadedBulletinTimes[provider.id] === null) {
+      const timeStr = formatBulletinHour(getBulletinSlot(provider).date);
+      debug(`Updating ${provider.name} time to ${timeStr}`);
+      labelElem.textContent = formatBulletinButtonLabel(provider, timeStr);
+    } else {
+      debug(`Not updating ${provider.name} time, bulletin loaded for ${loadedBulletinTimes[provider.id]}`);
+    }
+  });
+
+  updateBulletinProgress();
+
+  autoDownloadLatestBulletins();
+}
+
+// Play a bulletin that is known (or assumed) to exist.
+// `label` is the bulletin time shown on the news button, e.g. "08:00" or "Mon 08:00",
+// and `publishedAt` the instant it went out (used to name offline copies).
+// `queued` marks it as the catch-up queue's current bulletin.
+function startBulletin(providerId, url, label, publishedAt, queued = false) {
+  const provider = bulletinProviders.get(providerId);
+  const name = getBulletinProviderName(provider);
+
+  // Update the button label to match the actual bulletin hour
+  const labelElem = document.getElementById(provider.labelElementId);
+  if (labelElem) labelElem.textContent = formatBulletinButtonLabel(provider, label);
+
+  // Store the loaded bulletin time to prevent auto-update from overwriting it
+  loadedBulletinTimes[providerId] = label;
+  debug(`Stored bulletin time for ${providerId}: ${label}`);
+
+  loadStation(url, `${name} ${label} News`, { bulletin: { providerId, publishedAt }, queued });
+  touchOfflineBulletin(url);
+  document.getElementById('play-pause-btn').disabled = false;
 }
 
-// Load news bulletin with fallback
-function loadNewsBulletin(type, name) {
-  // Start with current hour
-  let hoursBack = 0;
+// Load the latest news bulletin, falling back to earlier ones
+function loadNewsBulletin(providerId) {
+  const provider = bulletinProviders.get(providerId);
+  const name = getBulletinProviderName(provider);
 
-  function tryLoadBulletin(attemptHoursBack) {
-    const url = type === 'rnz' ? getRNZNewsURL(attemptHoursBack) : getZBNewsURL(attemptHoursBack);
+  // Offline, the newest downloaded bulletin is the latest one we can play
+  if (!navigator.onLine) {
+    const downloaded = getOfflineBulletins(providerId)[0];
+    if (downloaded) {
+      startBulletin(providerId, downloaded.url, getBulletinEntryLabels(downloaded).button, downloaded.publishedAt);
+      return;
+    }
+  }
 
-    const now = getNZDTTime();
-    now.setHours(now.getHours() - attemptHoursBack);
-    const hour = String(now.getHours()).padStart(2, '0');
+  function tryLoadBulletin(stepsBack) {
+    const slot = getBulletinSlot(provider, stepsBack);
+    const url = buildBulletinURL(provider, slot);
+    const hour = formatBulletinHour(slot.date);
 
-    debug(`Trying to load ${name} bulletin for ${hour}:00 from ${url}`);
+    debug(`Trying to load ${name} bulletin for ${hour} from ${url}`);
 
     // Clean up previous test audio if exists
     if (currentTestAudio) {
@@ -412,20 +1662,9 @@ function loadNewsBulletin(type, name) {
     const testAudio = currentTestAudio;
 
     const canplayHandler = () => {
-      console.log(`Successfully loaded ${name} ${hour}:00 bulletin`);
-
-      // Update the button label to match the actual bulletin hour
-      const buttonId = type === 'rnz' ? 'rnz-news-time' : 'ztb-news-time';
-      document.getElementById(buttonId).textContent = `${hour}:00 bulletin`;
-
-      // Store the loaded bulletin time to prevent auto-update from overwriting it
-      loadedBulletinTimes[type] = hour;
-      debug(`Stored bulletin time for ${type}: ${hour}`);
+      console.log(`Successfully loaded ${name} ${hour} bulletin`);
 
-      loadStation(url, `${name} ${hour}:00 News`);
-      const nowPlayingElem = document.getElementById('now-playing');
-      nowPlayingElem.childNodes[0].textContent = `Playing: ${name} ${hour}:00 News`;
-      document.getElementById('play-pause-btn').disabled = false;
+      startBulletin(providerId, url, hour, slot.instant.getTime());
 
       // Clean up test audio after successful load
       testAudio.removeEventListener('canplay', canplayHandler);
@@ -434,26 +1673,24 @@ function loadNewsBulletin(type, name) {
     };
 
     const errorHandler = (e) => {
-      console.error(`Failed to load ${name} ${hour}:00 bulletin, error:`, e);
+      console.error(`Failed to load ${name} ${hour} bulletin, error:`, e);
 
       // Clean up this test audio
       testAudio.removeEventListener('canplay', canplayHandler);
       testAudio.removeEventListener('error', errorHandler);
       testAudio.pause();
       testAudio.src = '';
+      currentTestAudio = null;
 
-      // Try previous hour if this is first attempt
-      if (attemptHoursBack === 0) {
-        console.log(`Falling back to previous hour`);
-        currentTestAudio = null;
-        tryLoadBulletin(1);
+      // Try the previous bulletin until the provider's fallback depth is used up
+      if (stepsBack < provider.fallbackDepth) {
+        console.log(`Falling back to previous bulletin`);
+        tryLoadBulletin(stepsBack + 1);
       } else {
-        // Both failed, just try to load anyway
-        console.error(`Both attempts failed for ${name} news`);
-        currentTestAudio = null;
-        loadStation(url, `${name} News`);
-        const nowPlayingElem = document.getElementById('now-playing');
-        nowPlayingElem.childNodes[0].textContent = `Trying to load ${name} News...`;
+        // All attempts failed, just try to load anyway
+        console.error(`All attempts failed for ${name} news`);
+        loadStation(url, `${name} News`, { bulletin: { providerId, publishedAt: slot.instant.getTime() } });
+        setNowPlayingText(`Trying to load ${name} News...`);
         document.getElementById('play-pause-btn').disabled = false;
 
         // Show toast notification
@@ -470,887 +1707,4955 @@ function loadNewsBulletin(type, name) {
     testAudio.addEventListener('error', errorHandler);
   }
 
-  tryLoadBulletin(hoursBack);
+  tryLoadBulletin(0);
 }
 
-// Initialize audio player
-function initializePlayer() {
-  // Prevent multiple initializations
-  if (isPlayerInitialized) {
-    debug('Player already initialized, skipping');
-    return;
-  }
-  isPlayerInitialized = true;
+// News buttons are rendered from the provider registry
+function renderNewsButtons(container) {
+  if (!container) return;
+  container.replaceChildren(...Array.from(bulletinProviders.values()).map((provider) => {
+    const button = document.createElement('button');
+    button.className = 'news-btn';
+    button.dataset.type = provider.id;
+    button.id = `${provider.id}-news-btn`;
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'news-name';
+    nameSpan.textContent = provider.label;
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'news-time';
+    timeSpan.id = provider.labelElementId;
+    timeSpan.textContent = 'Latest bulletin';
+
+    const progress = document.createElement('span');
+    progress.className = 'news-progress';
+    progress.hidden = true;
+
+    button.append(nameSpan, timeSpan, progress);
+    return button;
+  }));
+}
 
-  const stationsList = document.querySelector('.stations');
-  const stationButtons = document.querySelectorAll('.station-btn');
-  const newsButtons = document.querySelectorAll('.news-btn');
-  const playPauseBtn = document.getElementById('play-pause-btn');
-  const volumeSlider = document.getElementById('volume-slider');
-  const nowPlaying = document.getElementById('now-playing');
-  const playIcon = document.querySelector('.play-icon');
-  const pauseIcon = document.querySelector('.pause-icon');
-  const refreshBfmBtn = document.getElementById('refresh-bfm-btn');
-  const bulletinControls = document.getElementById('bulletin-controls');
-  const scrubSlider = document.getElementById('scrub-slider');
-  const currentTimeLabel = document.getElementById('current-time');
-  const durationTimeLabel = document.getElementById('duration-time');
-  const skipBackBtn = document.getElementById('skip-back-btn');
-  const skipForwardBtn = document.getElementById('skip-forward-btn');
-  const speedStrip = document.getElementById('speed-strip');
-  const speedTrack = speedStrip ? speedStrip.querySelector('.speed-track') : null;
-  const speedIndicator = document.getElementById('speed-indicator');
-  const speedOptions = speedStrip ? Array.from(speedStrip.querySelectorAll('.speed-option')) : [];
+// Validate a catalog entry and fill in defaults; returns null if unusable
+function normalizeStation(entry) {
+  if (!entry || typeof entry.id !== 'string' || typeof entry.name !== 'string') return null;
+  const streams = (Array.isArray(entry.streams) ? entry.streams : [])
+    .map(stream => (typeof stream === 'string' ? { url: stream } : stream))
+    .filter(stream => stream && typeof stream.url === 'string' && stream.url);
+  if (streams.length === 0) return null;
+  return {
+    id: entry.id,
+    name: entry.name,
+    location: entry.location || '',
+    type: entry.type === 'video' ? 'video' : 'audio',
+    streams,
+    metadata: entry.metadata || null,
+    bulletin: entry.bulletin || null,
+    custom: !!entry.custom
+  };
+}
 
-  // Position the sliding indicator behind the active option
-  function positionIndicator(animate) {
-    if (!speedTrack || !speedIndicator) return;
-    const activeOpt = speedOptions.find(opt => parseFloat(opt.dataset.speed) === currentSpeed);
-    if (!activeOpt) return;
-    const trackRect = speedTrack.getBoundingClientRect();
-    const optRect = activeOpt.getBoundingClientRect();
-    if (trackRect.width === 0) return;
-    if (!animate) speedIndicator.style.transition = 'none';
-    speedIndicator.style.left = `${optRect.left - trackRect.left}px`;
-    speedIndicator.style.width = `${optRect.width}px`;
-    if (!animate) requestAnimationFrame(() => { speedIndicator.style.transition = ''; });
+// Fetch the station catalog and index it by id
+async function loadStationCatalog() {
+  const response = await fetch(STATION_CATALOG_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
   }
+  const data = await response.json();
+  const entries = Array.isArray(data) ? data : (data && data.stations) || [];
+
+  stationCatalog = [];
+  stationsById = new Map();
+  entries.forEach((entry) => {
+    const station = normalizeStation(entry);
+    if (!station) {
+      console.warn('Skipping invalid station catalog entry:', entry);
+      return;
+    }
+    if (stationsById.has(station.id)) {
+      console.warn('Skipping duplicate station id:', station.id);
+      return;
+    }
+    stationCatalog.push(station);
+    stationsById.set(station.id, station);
+  });
+  debug(`Loaded ${stationCatalog.length} stations from catalog`);
+  return stationCatalog;
+}
 
-  // Playback speed control
-  function setPlaybackSpeed(speed) {
-    currentSpeed = speed;
-    speedOptions.forEach(opt => {
-      opt.classList.toggle('active', parseFloat(opt.dataset.speed) === speed);
+function createStationButton(station) {
+  const button = document.createElement('button');
+  button.className = 'station-btn';
+  button.dataset.id = station.id;
+  button.setAttribute('draggable', 'false');
+
+  const nameSpan = document.createElement('span');
+  nameSpan.className = 'station-name';
+  nameSpan.textContent = station.name;
+
+  const locationSpan = document.createElement('span');
+  locationSpan.className = 'station-location';
+  locationSpan.textContent = station.location;
+
+  const handle = document.createElement('span');
+  handle.className = 'drag-handle';
+  handle.title = 'Drag to reorder';
+  handle.textContent = '☰';
+
+  button.append(nameSpan, locationSpan, handle);
+
+  // Custom stations get rename/delete actions, shown in edit mode.
+  // Spans rather than buttons because buttons can't be nested.
+  if (station.custom) {
+    button.classList.add('custom');
+    const actions = document.createElement('span');
+    actions.className = 'station-actions';
+    [
+      { action: 'rename', label: '✎', title: 'Rename station' },
+      { action: 'delete', label: '✕', title: 'Delete station' }
+    ].forEach(({ action, label, title }) => {
+      const actionBtn = document.createElement('span');
+      actionBtn.className = 'station-action';
+      actionBtn.dataset.action = action;
+      actionBtn.setAttribute('role', 'button');
+      actionBtn.title = title;
+      actionBtn.textContent = label;
+      actions.appendChild(actionBtn);
     });
-    if (audio) audio.playbackRate = speed;
-    if (navigator.vibrate) navigator.vibrate(8);
-    positionIndicator(true);
-    if (speedIndicator) speedIndicator.classList.toggle('elevated', speed > 1);
+    button.appendChild(actions);
   }
+  return button;
+}
 
-  speedOptions.forEach(opt => {
-    opt.addEventListener('click', () => {
-      setPlaybackSpeed(parseFloat(opt.dataset.speed));
-    });
+function updateStationButton(button, station) {
+  button.querySelector('.station-name').textContent = station.name;
+  button.querySelector('.station-location').textContent = station.location;
+}
+
+function renderStations(stationsList, stations) {
+  if (!stationsList) return;
+  stationsList.replaceChildren(...stations.map(createStationButton));
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Bulletin labels relative to today in the provider's timezone. The archive label is the
+// long form ("Today 08:00", "Mon 12 Oct 08:00"); the button label stays short ("08:00", "Mon 08:00").
+function getBulletinLabels(date, timeZone = 'Pacific/Auckland') {
+  const today = getZonedTime(timeZone);
+  today.setHours(0, 0, 0, 0);
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const daysAgo = Math.round((today - day) / 86400000);
+  const time = formatBulletinHour(date);
+  const weekday = WEEKDAY_NAMES[date.getDay()];
+
+  if (daysAgo === 0) return { archive: `Today ${time}`, button: time };
+  if (daysAgo === 1) return { archive: `Yesterday ${time}`, button: `${weekday} ${time}` };
+  return {
+    archive: `${weekday} ${date.getDate()} ${MONTH_NAMES[date.getMonth()]} ${time}`,
+    button: `${weekday} ${time}`
+  };
+}
+
+// Check whether a bulletin MP3 exists by loading just its metadata.
+// Resolves 'available', 'unavailable' or 'unknown' (timed out), or 'offline'
+// for one that's been downloaded.
+function checkBulletinAvailability(url, timeoutMs = 10000) {
+  if (isBulletinOffline(url)) return Promise.resolve('offline');
+  const cached = bulletinAvailability.get(url);
+  // Missing bulletins are rechecked after 5 minutes - the latest one may not be published yet
+  if (cached && (cached.status === 'available' || Date.now() - cached.checkedAt < 5 * 60 * 1000)) {
+    return Promise.resolve(cached.status);
+  }
+
+  return new Promise((resolve) => {
+    const testAudio = new Audio();
+    testAudio.preload = 'metadata';
+    let timeoutId = null;
+
+    const finish = (status) => {
+      clearTimeout(timeoutId);
+      testAudio.removeEventListener('loadedmetadata', metadataHandler);
+      testAudio.removeEventListener('error', errorHandler);
+      testAudio.src = '';
+      if (status !== 'unknown') {
+        bulletinAvailability.set(url, { status, checkedAt: Date.now() });
+      }
+      resolve(status);
+    };
+    const metadataHandler = () => finish('available');
+    const errorHandler = () => finish('unavailable');
+
+    testAudio.addEventListener('loadedmetadata', metadataHandler);
+    testAudio.addEventListener('error', errorHandler);
+    timeoutId = setTimeout(() => finish('unknown'), timeoutMs);
+    testAudio.src = url;
   });
+}
 
-  // Drag-to-slide gesture on speed track
-  if (speedTrack) {
-    let dragState = null;
+// Archive picker: lists past bulletins per provider with their availability
+function setupBulletinArchive() {
+  const toggleBtn = document.getElementById('bulletin-archive-btn');
+  const panel = document.getElementById('bulletin-archive');
+  const list = document.getElementById('archive-list');
+  const moreBtn = document.getElementById('archive-more');
+  if (!toggleBtn || !panel || !list) return;
+
+  const tabsContainer = panel.querySelector('.archive-tabs');
+  const statusLabels = {
+    checking: 'Checking…',
+    available: 'Available',
+    unavailable: 'Not available',
+    unknown: 'Unknown',
+    offline: 'Downloaded'
+  };
+  let activeType = bulletinProviders.keys().next().value;
+  let hoursShown = BULLETIN_ARCHIVE_PAGE_HOURS;
+  let renderToken = 0;
+
+  function setEntryStatus(entry, status) {
+    const statusElem = entry.querySelector('.archive-status');
+    statusElem.className = `archive-status ${status}`;
+    statusElem.textContent = statusLabels[status];
+    entry.classList.toggle('unavailable', status === 'unavailable');
+  }
 
-    function computeZones() {
-      return speedOptions.map(opt => {
-        const r = opt.getBoundingClientRect();
-        return { left: r.left, right: r.right, speed: parseFloat(opt.dataset.speed) };
-      });
+  // Probe entries a few at a time; a newer render cancels older probes
+  function probeEntries(entries, token) {
+    let next = 0;
+    const worker = async () => {
+      while (next < entries.length && token === renderToken) {
+        const entry = entries[next++];
+        const status = await checkBulletinAvailability(entry.dataset.url);
+        if (token === renderToken) setEntryStatus(entry, status);
+      }
+    };
+    for (let i = 0; i < BULLETIN_PROBE_CONCURRENCY; i++) {
+      worker();
     }
+  }
 
-    function zoneAtX(zones, clientX) {
-      if (clientX <= zones[0].right) return zones[0];
-      if (clientX >= zones[zones.length - 1].left) return zones[zones.length - 1];
-      return zones.find(z => clientX >= z.left && clientX < z.right) || zones[0];
+  function render() {
+    const token = ++renderToken;
+    const provider = bulletinProviders.get(activeType);
+    const maxHours = Math.min(hoursShown, provider.archiveHours);
+    list.replaceChildren();
+    const entries = [];
+
+    for (let stepsBack = 0; stepsBack * provider.cadenceHours < maxHours; stepsBack++) {
+      const slot = getBulletinSlot(provider, stepsBack);
+      const url = buildBulletinURL(provider, slot);
+      const labels = getBulletinLabels(slot.date, provider.timeZone);
+
+      const item = document.createElement('li');
+      item.className = 'archive-item';
+      const entry = document.createElement('button');
+      entry.className = 'archive-entry';
+      entry.dataset.url = url;
+      entry.classList.toggle('current', !!(currentStation && currentStation.url === url));
+
+      const time = document.createElement('span');
+      time.className = 'archive-time';
+      time.textContent = labels.archive;
+      const status = document.createElement('span');
+      status.className = 'archive-status';
+      const progress = document.createElement('span');
+      progress.className = 'archive-progress';
+      setProgressBar(progress, url);
+      entry.append(time, status, progress);
+      setEntryStatus(entry, 'checking');
+
+      entry.addEventListener('click', () => {
+        list.querySelectorAll('.archive-entry.current').forEach(el => el.classList.remove('current'));
+        entry.classList.add('current');
+        setActiveNewsButton(activeType);
+        startBulletin(provider.id, url, labels.button, slot.instant.getTime());
+      });
+
+      const download = document.createElement('button');
+      download.className = 'archive-download';
+      download.dataset.url = url;
+      download.addEventListener('click', () => {
+        toggleOfflineBulletin(url, { providerId: provider.id, publishedAt: slot.instant.getTime() });
+      });
+      updateOfflineToggle(download, url);
+
+      const queue = document.createElement('button');
+      queue.className = 'archive-queue';
+      queue.dataset.url = url;
+      queue.addEventListener('click', () => {
+        toggleQueuedBulletin({ providerId: provider.id, url, publishedAt: slot.instant.getTime() });
+      });
+      updateQueueToggle(queue, url);
+
+      item.append(entry, queue, download);
+      list.appendChild(item);
+      entries.push(entry);
     }
 
-    speedTrack.addEventListener('pointerdown', (e) => {
-      if (e.pointerType === 'mouse' && e.button !== 0) return;
-      speedTrack.setPointerCapture(e.pointerId);
-      dragState = { pointerId: e.pointerId, startX: e.clientX, moved: false, zones: computeZones() };
-    });
+    if (moreBtn) moreBtn.hidden = hoursShown >= provider.archiveHours;
+    probeEntries(entries, token);
+  }
 
-    speedTrack.addEventListener('pointermove', (e) => {
-      if (!dragState || e.pointerId !== dragState.pointerId) return;
-      if (!dragState.moved && Math.abs(e.clientX - dragState.startX) < 4) return;
-      dragState.moved = true;
-      const zone = zoneAtX(dragState.zones, e.clientX);
-      speedOptions.forEach(opt => opt.classList.toggle('active', parseFloat(opt.dataset.speed) === zone.speed));
-      const matchOpt = speedOptions.find(opt => parseFloat(opt.dataset.speed) === zone.speed);
-      if (matchOpt && speedTrack) {
-        const tr = speedTrack.getBoundingClientRect();
-        const or = matchOpt.getBoundingClientRect();
-        speedIndicator.style.transition = 'none';
-        speedIndicator.style.left = `${or.left - tr.left}px`;
-        speedIndicator.style.width = `${or.width}px`;
-      }
-    });
+  const catchUpBtn = document.getElementById('archive-catch-up');
+  if (catchUpBtn) {
+    catchUpBtn.addEventListener('click', () => queueCatchUp(CATCH_UP_HOURS));
+  }
 
-    speedTrack.addEventListener('pointerup', (e) => {
-      if (!dragState || e.pointerId !== dragState.pointerId) return;
-      const wasDrag = dragState.moved;
-      dragState = null;
-      if (wasDrag) {
-        speedIndicator.style.transition = '';
-        const activeOpt = speedOptions.find(opt => opt.classList.contains('active'));
-        setPlaybackSpeed(activeOpt ? parseFloat(activeOpt.dataset.speed) : 1);
+  // Keep download buttons and "Downloaded" labels current
+  refreshArchiveDownloads = () => {
+    if (panel.hidden) return;
+    list.querySelectorAll('.archive-queue').forEach(button => updateQueueToggle(button, button.dataset.url));
+    list.querySelectorAll('.archive-download').forEach((button) => {
+      updateOfflineToggle(button, button.dataset.url);
+      const entry = button.parentNode.querySelector('.archive-entry');
+      if (isBulletinOffline(button.dataset.url)) {
+        setEntryStatus(entry, 'offline');
+      } else if (entry.querySelector('.archive-status.offline')) {
+        checkBulletinAvailability(button.dataset.url).then(status => setEntryStatus(entry, status));
       }
     });
+  };
 
-    speedTrack.addEventListener('pointercancel', (e) => {
-      if (!dragState || e.pointerId !== dragState.pointerId) return;
-      dragState = null;
-      speedIndicator.style.transition = '';
-      positionIndicator(true);
-      speedOptions.forEach(opt => opt.classList.toggle('active', parseFloat(opt.dataset.speed) === currentSpeed));
+  toggleBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle('active', !panel.hidden);
+    if (panel.hidden) {
+      renderToken++; // Stop outstanding probes
+    } else {
+      hoursShown = BULLETIN_ARCHIVE_PAGE_HOURS;
+      render();
+    }
+  });
+
+  // One tab per bulletin provider
+  if (tabsContainer) {
+    const tabs = Array.from(bulletinProviders.values()).map((provider) => {
+      const tab = document.createElement('button');
+      tab.className = 'archive-tab';
+      tab.dataset.type = provider.id;
+      tab.textContent = getBulletinProviderName(provider);
+      tab.classList.toggle('active', provider.id === activeType);
+      tab.addEventListener('click', () => {
+        activeType = provider.id;
+        tabs.forEach(t => t.classList.toggle('active', t === tab));
+        hoursShown = BULLETIN_ARCHIVE_PAGE_HOURS;
+        render();
+      });
+      return tab;
     });
+    tabsContainer.replaceChildren(...tabs);
   }
 
-  // Update news button times
-  updateNewsButtonTimes();
-  setupMediaSessionHandlers();
-  // Refresh times every minute (clear old interval if exists)
-  if (newsUpdateInterval) {
-    clearInterval(newsUpdateInterval);
+  if (moreBtn) {
+    moreBtn.addEventListener('click', () => {
+      const provider = bulletinProviders.get(activeType);
+      hoursShown = Math.min(provider.archiveHours, hoursShown + BULLETIN_ARCHIVE_PAGE_HOURS);
+      render();
+    });
   }
-  newsUpdateInterval = setInterval(updateNewsButtonTimes, 60000);
+}
 
-  // Refresh 95bFM metadata button
-  refreshBfmBtn.addEventListener('click', () => {
-    fetch95bFMNowPlaying();
-  });
+function loadOfflineBulletins() {
+  try {
+    offlineBulletins = JSON.parse(localStorage.getItem(OFFLINE_BULLETINS_KEY)) || [];
+  } catch (error) {
+    console.warn('Failed to read offline bulletins:', error);
+    offlineBulletins = [];
+  }
+}
 
-  // Edit mode toggle
-  const editStationsBtn = document.getElementById('edit-stations-btn');
-  if (editStationsBtn) {
-    editStationsBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      isEditMode = !isEditMode;
-      editStationsBtn.classList.toggle('active', isEditMode);
-      if (stationsList) {
-        stationsList.classList.toggle('editing', isEditMode);
-      }
-      if (!isEditMode) {
-        saveStationOrder(stationsList);
-      }
-    });
+function saveOfflineBulletins() {
+  try {
+    localStorage.setItem(OFFLINE_BULLETINS_KEY, JSON.stringify(offlineBulletins));
+  } catch (e) {
+    console.warn('Failed to save offline bulletins:', e);
   }
+}
 
-  // Station selection
-  stationButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      if (isEditMode) return;
-      const url = button.getAttribute('data-url');
-      const name = button.getAttribute('data-name');
-      const isVideo = button.getAttribute('data-type') === 'video';
+function isBulletinOffline(url) {
+  return offlineBulletins.some(entry => entry.url === url);
+}
 
-      // Update active state
-      stationButtons.forEach(btn => btn.classList.remove('active'));
-      newsButtons.forEach(btn => btn.classList.remove('active'));
-      button.classList.add('active');
-
-      // Reset bulletin times when switching to live station
-      loadedBulletinTimes.rnz = null;
-      loadedBulletinTimes.newstalkzb = null;
-      updateNewsButtonTimes();
-
-      // Show one-time data usage notice for video streams
-      if (isVideo && !localStorage.getItem('tvDataWarningShown')) {
-        localStorage.setItem('tvDataWarningShown', '1');
-        showToast({
-          title: 'Data Usage',
-          message: 'TV audio streams use more data than radio stations.',
-          type: 'info',
-          duration: 4000
-        });
-      }
+// A provider's downloaded bulletins, newest first
+function getOfflineBulletins(providerId) {
+  return offlineBulletins
+    .filter(entry => entry.providerId === providerId)
+    .sort((a, b) => b.publishedAt - a.publishedAt);
+}
 
-      // Load new station
-      loadStation(url, name, { isVideo });
-      // Update text while preserving the button - use firstChild to get text node
-      const textNode = nowPlaying.firstChild;
-      if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-        textNode.textContent = `Now Playing: ${name}`;
-      } else {
-        // Fallback if DOM structure changes
-        nowPlaying.childNodes[0].textContent = `Now Playing: ${name}`;
-      }
-      playPauseBtn.disabled = false;
-    });
-  });
+// Labels for a stored bulletin ({ providerId, publishedAt }), relative to today
+function getBulletinEntryLabels(entry) {
+  const provider = bulletinProviders.get(entry.providerId);
+  const timeZone = provider ? provider.timeZone : 'Pacific/Auckland';
+  return getBulletinLabels(getZonedTime(timeZone, new Date(entry.publishedAt)), timeZone);
+}
 
-  // Restore saved station order before enabling drag/drop
-  if (stationsList) {
-    restoreStationOrder(stationsList);
-    enableStationReorder(stationsList);
+// Playing a downloaded bulletin keeps it from being the next one evicted. A
+// played auto-download becomes the user's, so neither trim of automatic
+// downloads (here or in sw.js) will remove it.
+function touchOfflineBulletin(url) {
+  const entry = offlineBulletins.find(e => e.url === url);
+  if (!entry) return;
+  entry.playedAt = Date.now();
+  if (entry.auto) {
+    entry.auto = false;
+    forgetAutoDownloads([url]).catch(error => console.warn('Failed to keep offline bulletin:', error));
   }
+  saveOfflineBulletins();
+}
 
-  // News bulletin selection
-  newsButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      const type = button.getAttribute('data-type');
-      const name = type === 'rnz' ? 'RNZ' : 'NewstalkZB';
+// The automatic downloads sw.js may trim live in an index of their own in the
+// offline bucket (AUTO_DOWNLOAD_INDEX_URL), so neither side has to open every
+// cached bulletin to find them. `update` maps its entries to the new ones.
+async function updateAutoDownloadIndex(update) {
+  const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+  const response = await cache.match(AUTO_DOWNLOAD_INDEX_URL);
+  const entries = update(response ? await response.json() : []);
+  await cache.put(AUTO_DOWNLOAD_INDEX_URL, new Response(JSON.stringify(entries), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
 
-      // Update active state
-      stationButtons.forEach(btn => btn.classList.remove('active'));
-      newsButtons.forEach(btn => btn.classList.remove('active'));
-      button.classList.add('active');
+function forgetAutoDownloads(urls) {
+  return updateAutoDownloadIndex(entries => entries.filter(entry => !urls.includes(entry.url)));
+}
 
-      // Load news bulletin with fallback
-      loadNewsBulletin(type, name);
-    });
-  });
+// Fetch a bulletin for the offline bucket. Hosts that send CORS headers give
+// a response we can measure and tag. For the rest we fall back to an opaque
+// no-cors copy, which Cache Storage keeps and sw.js can serve but which hides
+// its status, size and headers - so the bulletin is checked first, to avoid
+// storing an error page in its place.
+async function fetchBulletinForOffline(url) {
+  let response;
+  try {
+    response = await fetch(url, { mode: 'cors' });
+  } catch (error) {
+    // No CORS headers and a dropped connection look the same from here
+    if (!navigator.onLine) throw error;
+    if (await checkBulletinAvailability(url) !== 'available') throw new Error('Bulletin unavailable');
+    debug('Bulletin host doesn\'t allow CORS, saving an opaque copy:', url);
+    return { response: await fetch(url, { mode: 'no-cors' }), size: OFFLINE_OPAQUE_BULLETIN_BYTES, opaque: true };
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  if (blob.size > OFFLINE_BULLETIN_MAX_BYTES) throw new Error('Bulletin is larger than the offline limit');
+  return { blob, size: blob.size, opaque: false };
+}
 
-  // Play/Pause control
-  playPauseBtn.addEventListener('click', () => {
-    if (!audio) return;
+// Fetch a bulletin MP3 into the offline bucket, then evict the least recently
+// played ones until the bucket is back under OFFLINE_BULLETIN_MAX_BYTES.
+// Automatic downloads are quiet and replace the provider's older automatic
+// ones. Resolves true once the bulletin is stored.
+async function downloadBulletin(url, { providerId, publishedAt }, { auto = false } = {}) {
+  if (isBulletinOffline(url) || offlineDownloads.has(url)) return isBulletinOffline(url);
+  if (!('caches' in window)) {
+    if (!auto) showToast({ message: 'Offline downloads aren\'t supported in this browser.', type: 'warning', duration: 5000 });
+    return false;
+  }
+  const provider = bulletinProviders.get(providerId);
+  const name = provider ? getBulletinProviderName(provider) : 'News';
 
-    const onAirIndicator = document.getElementById('on-air-indicator');
-    const onAirText = document.querySelector('.on-air-text');
+  offlineDownloads.add(url);
+  updateOfflineUI();
+  try {
+    const { blob, response, size, opaque } = await fetchBulletinForOffline(url);
 
-    if (audio.paused) {
-      audio.play();
-      playIcon.style.display = 'none';
-      pauseIcon.style.display = 'inline';
-      playPauseBtn.classList.add('playing');
-      onAirIndicator.classList.add('live');
-      onAirText.textContent = 'ON AIR';
-      updateMediaSessionState();
+    const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+    if (opaque) {
+      await cache.put(url, response);
     } else {
-      audio.pause();
-      playIcon.style.display = 'inline';
-      pauseIcon.style.display = 'none';
-      playPauseBtn.classList.remove('playing');
-      onAirIndicator.classList.remove('live');
-      onAirText.textContent = 'OFF AIR';
-      updateMediaSessionState();
+      // The X-Bulletin-* headers let syncOfflineBulletinIndex() rebuild the index
+      // entry for bulletins sw.js downloads (it writes the same headers)
+      await cache.put(url, new Response(blob, {
+        headers: {
+          'Content-Type': blob.type || 'audio/mpeg',
+          'Content-Length': String(blob.size),
+          'X-Bulletin-Provider': providerId,
+          'X-Bulletin-Published-At': String(publishedAt)
+        }
+      }));
     }
-  });
-
-  // Volume control with validation
-  function handleVolumeChange(e) {
-    if (audio) {
-      const value = Math.max(0, Math.min(100, parseInt(e.target.value) || 0));
-      audio.volume = value / 100;
-      // Update slider to validated value
-      e.target.value = value;
+    if (auto) await updateAutoDownloadIndex(entries => [...entries, { url, providerId, publishedAt }]);
+    offlineBulletins.push({ url, providerId, publishedAt, size, savedAt: Date.now(), playedAt: null, auto, opaque });
+    if (auto) await trimAutoDownloads(providerId);
+    await evictOfflineBulletins(url);
+    saveOfflineBulletins();
+
+    const label = getBulletinEntryLabels({ providerId, publishedAt }).archive;
+    debug(`Saved ${name} ${label} for offline${auto ? ' (auto)' : ''}`);
+    if (!auto) showToast({ message: `${escapeHtml(name)} ${label} saved for offline`, type: 'success', duration: 3000 });
+    return true;
+  } catch (error) {
+    console.warn('Failed to download bulletin:', error);
+    if (!auto) {
+      showToast({
+        title: 'Download Failed',
+        message: `Unable to save this ${escapeHtml(name)} bulletin for offline listening.`,
+        type: 'error',
+        duration: 5000
+      });
     }
-    updateVolumeSliderFill();
+    return false;
+  } finally {
+    offlineDownloads.delete(url);
+    updateOfflineUI();
   }
-  volumeSlider.addEventListener('input', handleVolumeChange);
-  // 'change' fires on some mobile browsers that don't fire 'input' during drag
-  volumeSlider.addEventListener('change', handleVolumeChange);
-
-  // Prevent page scroll while dragging volume slider on mobile
-  volumeSlider.addEventListener('touchstart', (e) => {
-    e.stopPropagation();
-  }, { passive: true });
-  volumeSlider.addEventListener('touchmove', (e) => {
-    e.stopPropagation();
-  }, { passive: true });
+}
 
-  function updateVolumeSliderFill() {
-    if (!volumeSlider) return;
-    const value = Math.max(0, Math.min(100, parseInt(volumeSlider.value) || 0));
-    volumeSlider.style.setProperty('--volume-fill', `${value}%`);
+// Oldest-played (or oldest-saved, if never played) go first; `keepUrl` is spared
+async function evictOfflineBulletins(keepUrl) {
+  let total = offlineBulletins.reduce((sum, entry) => sum + entry.size, 0);
+  if (total <= OFFLINE_BULLETIN_MAX_BYTES) return;
+  const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+  const candidates = offlineBulletins
+    .filter(entry => entry.url !== keepUrl)
+    .sort((a, b) => (a.playedAt || a.savedAt) - (b.playedAt || b.savedAt));
+  const evicted = [];
+  for (const entry of candidates) {
+    if (total <= OFFLINE_BULLETIN_MAX_BYTES) break;
+    await cache.delete(entry.url);
+    offlineBulletins = offlineBulletins.filter(e => e !== entry);
+    total -= entry.size;
+    if (entry.auto) evicted.push(entry.url);
+    debug(`Evicted offline bulletin ${entry.url}`);
   }
-  updateVolumeSliderFill();
+  if (evicted.length > 0) await forgetAutoDownloads(evicted);
+}
 
-  function setBulletinControlsVisible(visible) {
-    if (!bulletinControls) return;
-    bulletinControls.classList.toggle('active', visible);
-    bulletinControls.setAttribute('aria-hidden', visible ? 'false' : 'true');
+// Keep only the newest AUTO_DOWNLOAD_KEEP automatic downloads for a provider
+async function trimAutoDownloads(providerId) {
+  const stale = getOfflineBulletins(providerId)
+    .filter(entry => entry.auto)
+    .slice(AUTO_DOWNLOAD_KEEP);
+  if (stale.length === 0) return;
+  const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+  for (const entry of stale) {
+    await cache.delete(entry.url);
   }
+  await forgetAutoDownloads(stale.map(entry => entry.url));
+  offlineBulletins = offlineBulletins.filter(entry => !stale.includes(entry));
+}
 
-  function isSeekableAudio() {
-    return audio && isFinite(audio.duration) && audio.duration > 0 && audio.seekable && audio.seekable.length > 0;
+// Bring the index in line with the cache: sw.js may have downloaded bulletins
+// in the background, and the browser may have cleared the cache under storage
+// pressure
+async function syncOfflineBulletinIndex() {
+  if (!('caches' in window)) return;
+  const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+  const indexResponse = await cache.match(AUTO_DOWNLOAD_INDEX_URL);
+  const autoDownloads = new Map((indexResponse ? await indexResponse.json() : []).map(entry => [entry.url, entry]));
+  const cachedUrls = new Set();
+  for (const request of await cache.keys()) {
+    if (!isBulletinUrl(request.url)) continue;
+    cachedUrls.add(request.url);
+    if (isBulletinOffline(request.url)) continue;
+    const autoEntry = autoDownloads.get(request.url);
+    const response = await cache.match(request);
+    if (!response) continue;
+    const opaque = response.type === 'opaque';
+    if (opaque && !autoEntry && !offlineDownloads.has(request.url)) {
+      // An opaque copy whose index entry was lost can't be described again
+      await cache.delete(request);
+      cachedUrls.delete(request.url);
+      continue;
+    }
+    const providerId = autoEntry ? autoEntry.providerId : response.headers.get('X-Bulletin-Provider');
+    if (!bulletinProviders.has(providerId) || isBulletinOffline(request.url)) continue;
+    offlineBulletins.push({
+      url: request.url,
+      providerId,
+      publishedAt: autoEntry ? autoEntry.publishedAt : parseInt(response.headers.get('X-Bulletin-Published-At'), 10) || Date.now(),
+      size: opaque ? OFFLINE_OPAQUE_BULLETIN_BYTES : parseInt(response.headers.get('Content-Length'), 10) || 0,
+      savedAt: Date.now(),
+      playedAt: null,
+      auto: Boolean(autoEntry),
+      opaque
+    });
   }
+  offlineBulletins = offlineBulletins.filter(entry => cachedUrls.has(entry.url));
+  for (const providerId of bulletinProviders.keys()) {
+    await trimAutoDownloads(providerId);
+  }
+  await evictOfflineBulletins();
+  saveOfflineBulletins();
+  offlineIndexSynced = true;
+  updateOfflineUI();
+}
 
-  function syncScrubUIInternal() {
-    if (!scrubSlider || !currentTimeLabel || !durationTimeLabel) return;
-    if (!audio) {
-      currentTimeLabel.textContent = '0:00';
-      durationTimeLabel.textContent = '0:00';
-      scrubSlider.value = 0;
-      scrubSlider.max = 100;
-      return;
+function getAutoDownloadProviders() {
+  return getSetting('autoDownloadBulletins', []).filter(id => bulletinProviders.has(id));
+}
+
+// Foreground auto-download, run from updateNewsButtonTimes(): fetch each chosen
+// provider's latest bulletin. One that isn't up yet is retried after
+// AUTO_DOWNLOAD_RETRY_MS; the older one isn't fetched in its place.
+async function autoDownloadLatestBulletins() {
+  const providerIds = getAutoDownloadProviders();
+  if (!offlineIndexSynced || providerIds.length === 0 || !navigator.onLine) return;
+  if (navigator.connection && navigator.connection.saveData) return;
+
+  for (const providerId of providerIds) {
+    const provider = bulletinProviders.get(providerId);
+    const slot = getBulletinSlot(provider);
+    const url = buildBulletinURL(provider, slot);
+    if (isBulletinOffline(url)) continue;
+    const lastAttempt = autoDownloadAttempts.get(url);
+    if (lastAttempt && Date.now() - lastAttempt < AUTO_DOWNLOAD_RETRY_MS) continue;
+    if (await downloadBulletin(url, { providerId, publishedAt: slot.instant.getTime() }, { auto: true })) {
+      autoDownloadAttempts.delete(url);
+      // Roll the background plan forward while we're here
+      updateAutoDownloadPlan().catch(error => console.warn('Failed to update auto-download plan:', error));
+    } else {
+      autoDownloadAttempts.set(url, Date.now());
     }
+  }
+}
 
-    const duration = isFinite(audio.duration) ? audio.duration : 0;
-    durationTimeLabel.textContent = formatTime(duration);
-    currentTimeLabel.textContent = formatTime(audio.currentTime);
+// Leave sw.js the URLs of the next AUTO_DOWNLOAD_PLAN_HOURS of bulletins, and
+// (un)register the periodic sync that downloads them in the background
+async function updateAutoDownloadPlan() {
+  const providerIds = getAutoDownloadProviders();
+  if ('caches' in window) {
+    const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+    if (providerIds.length === 0) {
+      await cache.delete(AUTO_DOWNLOAD_PLAN_URL);
+    } else {
+      const bulletins = [];
+      providerIds.forEach((providerId) => {
+        const provider = bulletinProviders.get(providerId);
+        // Negative steps are bulletins still to come
+        for (let stepsBack = 1; stepsBack * -provider.cadenceHours <= AUTO_DOWNLOAD_PLAN_HOURS; stepsBack--) {
+          const slot = getBulletinSlot(provider, stepsBack);
+          bulletins.push({ providerId, url: buildBulletinURL(provider, slot), publishedAt: slot.instant.getTime() });
+        }
+      });
+      await cache.put(AUTO_DOWNLOAD_PLAN_URL, new Response(JSON.stringify({ keep: AUTO_DOWNLOAD_KEEP, bulletins }), {
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    }
+  }
 
-    if (!isScrubbing) {
-      scrubSlider.max = duration || 0;
-      scrubSlider.value = audio.currentTime || 0;
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration || !('periodicSync' in registration)) return;
+  try {
+    if (providerIds.length === 0) {
+      await registration.periodicSync.unregister(AUTO_DOWNLOAD_SYNC_TAG);
+    } else {
+      await registration.periodicSync.register(AUTO_DOWNLOAD_SYNC_TAG, { minInterval: 60 * 60 * 1000 });
     }
+  } catch (error) {
+    // Usually not permitted (the app isn't installed); the foreground timer still runs
+    debug('Periodic sync unavailable:', error.message);
   }
+}
 
-  function resetPlaybackSpeed() {
-    setPlaybackSpeed(1);
+async function removeOfflineBulletin(url) {
+  if ('caches' in window) {
+    const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+    await cache.delete(url);
+    await forgetAutoDownloads([url]);
   }
+  offlineBulletins = offlineBulletins.filter(entry => entry.url !== url);
+  saveOfflineBulletins();
+  updateOfflineUI();
+}
 
-  function updateBulletinControlsStateInternal() {
-    const shouldShow = currentStation && currentStation.isBulletin && isSeekableAudio();
-    setBulletinControlsVisible(shouldShow);
-    if (speedStrip) speedStrip.classList.toggle('visible', shouldShow);
-    if (shouldShow) {
-      // Double rAF: ensure display:block has been laid out before measuring
-      requestAnimationFrame(() => requestAnimationFrame(() => positionIndicator(false)));
-    }
-    if (!shouldShow) {
-      resetPlaybackSpeed();
-    }
-    if (skipBackBtn) skipBackBtn.disabled = !shouldShow;
-    if (skipForwardBtn) skipForwardBtn.disabled = !shouldShow;
-    if (scrubSlider) scrubSlider.disabled = !shouldShow;
-    if (shouldShow) {
-      syncScrubUIInternal();
-    }
+async function clearOfflineBulletins() {
+  if ('caches' in window) await caches.delete(OFFLINE_BULLETIN_CACHE);
+  offlineBulletins = [];
+  saveOfflineBulletins();
+  updateOfflineUI();
+}
+
+function toggleOfflineBulletin(url, bulletin) {
+  if (offlineDownloads.has(url)) return;
+  if (isBulletinOffline(url)) {
+    removeOfflineBulletin(url).catch(error => console.warn('Failed to remove offline bulletin:', error));
+  } else {
+    downloadBulletin(url, bulletin);
   }
+}
 
-  // Scrub slider interactions
-  if (scrubSlider) {
-    scrubSlider.addEventListener('input', (e) => {
-      if (!isSeekableAudio()) return;
-      isScrubbing = true;
-      const target = Math.max(0, Math.min(audio.duration || 0, parseFloat(e.target.value) || 0));
-      audio.currentTime = target;
-      syncScrubUIInternal();
-    });
+// Download/remove buttons show ⬇, … while downloading, or ✓ once saved
+function updateOfflineToggle(button, url) {
+  const downloading = offlineDownloads.has(url);
+  const downloaded = isBulletinOffline(url);
+  button.textContent = downloading ? '…' : downloaded ? '✓' : '⬇';
+  button.title = downloaded ? 'Remove offline copy' : 'Download for offline';
+  button.disabled = downloading;
+  button.classList.toggle('downloaded', downloaded);
+}
 
-    scrubSlider.addEventListener('change', () => {
-      isScrubbing = false;
-      syncScrubUIInternal();
-    });
+function updateOfflineUI() {
+  const usage = document.getElementById('offline-usage');
+  const clearBtn = document.getElementById('offline-clear');
+  if (usage) {
+    const total = offlineBulletins.reduce((sum, entry) => sum + entry.size, 0);
+    usage.textContent = offlineBulletins.length
+      ? `Offline bulletins: ${offlineBulletins.length} (${(total / (1024 * 1024)).toFixed(1)} of ${OFFLINE_BULLETIN_MAX_BYTES / (1024 * 1024)} MB)`
+      : 'Offline bulletins: none';
+  }
+  if (clearBtn) clearBtn.disabled = offlineBulletins.length === 0;
 
-    scrubSlider.addEventListener('pointerdown', () => {
-      isScrubbing = true;
-    });
-    scrubSlider.addEventListener('pointerup', () => {
-      isScrubbing = false;
-      syncScrubUIInternal();
+  const offlineBtn = document.getElementById('bulletin-offline-btn');
+  const bulletin = currentStation && currentStation.options.bulletin;
+  if (offlineBtn) {
+    offlineBtn.hidden = !bulletin;
+    if (bulletin) updateOfflineToggle(offlineBtn, currentStation.url);
+  }
+  if (refreshArchiveDownloads) refreshArchiveDownloads();
+}
+
+function setupOfflineBulletins() {
+  loadOfflineBulletins();
+
+  const offlineBtn = document.getElementById('bulletin-offline-btn');
+  if (offlineBtn) {
+    offlineBtn.addEventListener('click', () => {
+      const bulletin = currentStation && currentStation.options.bulletin;
+      if (bulletin) toggleOfflineBulletin(currentStation.url, bulletin);
     });
   }
 
-  // Skip controls
-  if (skipBackBtn) {
-    skipBackBtn.addEventListener('click', () => {
-      if (!isSeekableAudio()) return;
-      const nextTime = Math.max(0, (audio.currentTime || 0) - 15);
-      audio.currentTime = nextTime;
-      syncScrubUIInternal();
+  const clearBtn = document.getElementById('offline-clear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      clearOfflineBulletins()
+        .then(updateAutoDownloadPlan)
+        .catch(error => console.warn('Failed to clear offline bulletins:', error));
     });
   }
-  if (skipForwardBtn) {
-    skipForwardBtn.addEventListener('click', () => {
-      if (!isSeekableAudio()) return;
-      const duration = audio.duration || 0;
-      const nextTime = Math.min(duration, (audio.currentTime || 0) + 15);
-      audio.currentTime = nextTime;
-      syncScrubUIInternal();
+
+  // One opt-in per bulletin provider
+  const offlineSettings = document.getElementById('offline-settings');
+  if (offlineSettings) {
+    bulletinProviders.forEach((provider) => {
+      const row = document.createElement('label');
+      row.className = 'settings-row';
+      const text = document.createElement('span');
+      text.textContent = `Auto-download latest ${provider.name} bulletin`;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = getAutoDownloadProviders().includes(provider.id);
+      checkbox.addEventListener('change', () => {
+        const enabled = getAutoDownloadProviders().filter(id => id !== provider.id);
+        if (checkbox.checked) enabled.push(provider.id);
+        setSetting('autoDownloadBulletins', enabled);
+        updateAutoDownloadPlan().catch(error => console.warn('Failed to update auto-download plan:', error));
+        if (checkbox.checked) autoDownloadLatestBulletins();
+      });
+      row.append(text, checkbox);
+      offlineSettings.appendChild(row);
     });
   }
 
-  // Expose for loadStation updates
-  updateBulletinControlsState = updateBulletinControlsStateInternal;
-  syncScrubUI = syncScrubUIInternal;
+  updateOfflineUI();
+  syncOfflineBulletinIndex()
+    .then(() => {
+      autoDownloadLatestBulletins();
+      return updateAutoDownloadPlan();
+    })
+    .catch(error => console.warn('Failed to sync offline bulletins:', error));
 }
 
-function restoreStationOrder(stationsList) {
-  if (!stationsList) return;
-  let saved = [];
+function loadPlaybackPositions() {
+  if (playbackPositions) return playbackPositions;
   try {
-    saved = JSON.parse(localStorage.getItem('stationOrderV1') || '[]');
-  } catch (e) {
-    saved = [];
+    playbackPositions = JSON.parse(localStorage.getItem(PLAYBACK_POSITIONS_KEY)) || {};
+  } catch (error) {
+    console.warn('Failed to read playback positions:', error);
+    playbackPositions = {};
   }
-  if (!Array.isArray(saved) || saved.length === 0) return;
-
-  const buttons = Array.from(stationsList.querySelectorAll('.station-btn'));
-  const map = new Map(buttons.map(btn => [btn.getAttribute('data-url'), btn]));
-
-  saved.forEach((url) => {
-    const btn = map.get(url);
-    if (btn) {
-      stationsList.appendChild(btn);
-      map.delete(url);
-    }
+  // Forget old positions; the bulletins behind them have usually expired
+  const cutoff = Date.now() - PLAYBACK_POSITION_MAX_AGE_DAYS * 86400000;
+  Object.keys(playbackPositions).forEach((key) => {
+    if (playbackPositions[key].savedAt < cutoff) delete playbackPositions[key];
   });
-  // Append any new stations not in saved order
-  map.forEach((btn) => stationsList.appendChild(btn));
+  return playbackPositions;
 }
 
-function saveStationOrder(stationsList) {
-  if (!stationsList) return;
-  const order = Array.from(stationsList.querySelectorAll('.station-btn'))
-    .map(btn => btn.getAttribute('data-url'))
-    .filter(Boolean);
+function savePlaybackPositions() {
+  const positions = loadPlaybackPositions();
+  const keys = Object.keys(positions);
+  if (keys.length > PLAYBACK_POSITIONS_MAX) {
+    keys
+      .sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+      .slice(0, keys.length - PLAYBACK_POSITIONS_MAX)
+      .forEach(key => delete positions[key]);
+  }
   try {
-    localStorage.setItem('stationOrderV1', JSON.stringify(order));
+    localStorage.setItem(PLAYBACK_POSITIONS_KEY, JSON.stringify(positions));
   } catch (e) {
-    console.warn('Failed to save station order:', e);
+    console.warn('Failed to save playback positions:', e);
   }
 }
 
-function enableStationReorder(stationsList) {
-  if (!stationsList) return;
-  let draggedButton = null;
-  let ghost = null;
-  let placeholder = null;
-  let isDragging = false;
-  let dragStartY = 0;
-  let ghostOffsetY = 0;
-  let latestClientY = 0;
-  let rafPending = false;
-  const moveThreshold = 6;
-  let dragStarted = false;
-  let onWindowMove = null;
-  let onWindowUp = null;
+// A resumable position for `key`, or null if there's nothing worth resuming
+function getPlaybackPosition(key) {
+  const saved = loadPlaybackPositions()[key];
+  return saved && saved.position >= RESUME_MIN_SECONDS ? saved : null;
+}
 
-  stationsList.querySelectorAll('.station-btn').forEach((btn) => {
-    btn.setAttribute('draggable', 'false');
+// Remember how far into the current bulletin or recording we are. Near the
+// start or end there's nothing to resume, so the entry is dropped instead.
+function savePlaybackPosition() {
+  if (!audio || !currentStation || !currentStation.resumeKey) return;
+  const duration = audio.duration;
+  if (!isFinite(duration) || duration <= 0) return;
+  lastPositionSave = Date.now();
+
+  const position = audio.currentTime;
+  const positions = loadPlaybackPositions();
+  const key = currentStation.resumeKey;
+  if (position < RESUME_MIN_SECONDS || position > duration - RESUME_END_MARGIN_SECONDS) {
+    if (!(key in positions)) return;
+    delete positions[key];
+  } else {
+    positions[key] = { position: Math.floor(position), duration: Math.round(duration), savedAt: Date.now() };
+  }
+  savePlaybackPositions();
+  updateBulletinProgress();
+}
 
-    // Prevent iOS text selection/callout on long-press
-    btn.addEventListener('touchstart', (e) => {
-      if (!isEditMode) return;
-      e.preventDefault();
-    }, { passive: false });
+function forgetPlaybackPosition(key) {
+  const positions = loadPlaybackPositions();
+  if (!(key in positions)) return;
+  delete positions[key];
+  savePlaybackPositions();
+  updateBulletinProgress();
+}
 
-    btn.addEventListener('pointerdown', (e) => {
-      if (!isEditMode) return;
-      e.preventDefault();
-      e.stopPropagation();
-      dragStartY = e.clientY;
-      dragStarted = false;
-      draggedButton = btn;
-      latestClientY = e.clientY;
-
-      const rect = btn.getBoundingClientRect();
-      ghostOffsetY = e.clientY - rect.top;
-
-      onWindowMove = (evt) => {
-        if (!draggedButton) return;
-        evt.preventDefault();
-        latestClientY = evt.clientY;
-
-        if (!dragStarted && Math.abs(evt.clientY - dragStartY) > moveThreshold) {
-          dragStarted = true;
-          beginDrag(btn);
-        }
+// Jump to the saved position for `key` and offer to start over instead
+function offerResume(key) {
+  const saved = getPlaybackPosition(key);
+  const prompt = document.getElementById('resume-prompt');
+  const resumeBtn = document.getElementById('resume-btn');
+  if (!saved || !audio || saved.position > audio.duration - RESUME_END_MARGIN_SECONDS) return;
+
+  audio.currentTime = saved.position;
+  if (!prompt || !resumeBtn) return;
+  resumeBtn.textContent = `Resume from ${formatTime(saved.position)}`;
+  prompt.hidden = false;
+  if (resumePromptTimer) clearTimeout(resumePromptTimer);
+  resumePromptTimer = setTimeout(hideResumePrompt, RESUME_PROMPT_MS);
+}
 
-        if (isDragging && !rafPending) {
-          rafPending = true;
-          requestAnimationFrame(updateDrag);
-        }
-      };
-      onWindowUp = () => {
-        if (isDragging) {
-          finishDrag();
-        } else {
-          cleanupPendingDrag();
-        }
-      };
-      window.addEventListener('pointermove', onWindowMove, { passive: false });
-      window.addEventListener('pointerup', onWindowUp);
-      window.addEventListener('pointercancel', onWindowUp);
-    });
+function hideResumePrompt() {
+  const prompt = document.getElementById('resume-prompt');
+  if (prompt) prompt.hidden = true;
+  if (resumePromptTimer) {
+    clearTimeout(resumePromptTimer);
+    resumePromptTimer = null;
+  }
+}
+
+function setProgressBar(bar, key) {
+  const saved = getPlaybackPosition(key);
+  bar.hidden = !saved;
+  if (saved) bar.style.width = `${Math.min(100, (saved.position / saved.duration) * 100)}%`;
+}
+
+// News buttons show progress through the bulletin they'd play (the loaded one,
+// or the latest); archive entries through their own
+function updateBulletinProgress() {
+  bulletinProviders.forEach((provider) => {
+    const bar = document.querySelector(`#${provider.id}-news-btn .news-progress`);
+    if (!bar) return;
+    const loaded = currentStation && currentStation.options.bulletin && currentStation.options.bulletin.providerId === provider.id;
+    setProgressBar(bar, loaded ? currentStation.url : getBulletinURL(provider.id));
+  });
+  document.querySelectorAll('.archive-entry[data-url] .archive-progress').forEach((bar) => {
+    setProgressBar(bar, bar.parentNode.dataset.url);
   });
+}
 
-  function cleanupPendingDrag() {
-    draggedButton = null;
-    dragStarted = false;
-    if (onWindowMove) {
-      window.removeEventListener('pointermove', onWindowMove);
-      onWindowMove = null;
-    }
-    if (onWindowUp) {
-      window.removeEventListener('pointerup', onWindowUp);
-      window.removeEventListener('pointercancel', onWindowUp);
-      onWindowUp = null;
-    }
+function setupResumePrompt() {
+  const resumeBtn = document.getElementById('resume-btn');
+  const startOverBtn = document.getElementById('start-over-btn');
+  if (resumeBtn) resumeBtn.addEventListener('click', hideResumePrompt);
+  if (startOverBtn) {
+    startOverBtn.addEventListener('click', () => {
+      if (audio) audio.currentTime = 0;
+      if (currentStation && currentStation.resumeKey) forgetPlaybackPosition(currentStation.resumeKey);
+      hideResumePrompt();
+    });
   }
+}
 
-  function beginDrag(btn) {
-    if (isDragging) return;
-    isDragging = true;
-    document.body.classList.add('reordering');
+function isQueuePlaying() {
+  return !!(currentStation && currentStation.options.queued);
+}
 
-    const rect = btn.getBoundingClientRect();
+function toggleQueuedBulletin(bulletin) {
+  const index = bulletinQueue.findIndex(item => item.url === bulletin.url);
+  if (index === -1) {
+    bulletinQueue.push({ ...bulletin, status: 'pending' });
+  } else if (index !== bulletinQueueIndex || !isQueuePlaying()) {
+    removeQueueItem(index);
+    return;
+  }
+  updateBulletinQueueUI();
+}
 
-    placeholder = document.createElement('div');
-    placeholder.className = 'station-btn reorder-placeholder';
-    placeholder.style.height = `${rect.height}px`;
+// The entry that's playing stays: removing it would leave the player advancing
+// from the wrong slot. Clear the queue to stop it advancing.
+function removeQueueItem(index) {
+  if (index === bulletinQueueIndex && isQueuePlaying()) return;
+  bulletinQueue.splice(index, 1);
+  if (index < bulletinQueueIndex) bulletinQueueIndex--;
+  else if (index === bulletinQueueIndex) bulletinQueueIndex = -1;
+  updateBulletinQueueUI();
+}
 
-    ghost = btn.cloneNode(true);
-    ghost.classList.add('drag-ghost');
-    ghost.style.width = `${rect.width}px`;
-    ghost.style.transform = `translate3d(${rect.left}px, ${rect.top}px, 0)`;
+// Queue every provider's bulletins from the last `hours`, oldest first
+function queueCatchUp(hours) {
+  const since = Date.now() - hours * 60 * 60 * 1000;
+  const bulletins = [];
+  bulletinProviders.forEach((provider) => {
+    for (let stepsBack = 0; ; stepsBack++) {
+      const slot = getBulletinSlot(provider, stepsBack);
+      if (slot.instant.getTime() < since) break;
+      bulletins.push({ providerId: provider.id, url: buildBulletinURL(provider, slot), publishedAt: slot.instant.getTime() });
+    }
+  });
+  bulletins
+    .sort((a, b) => a.publishedAt - b.publishedAt)
+    .forEach((bulletin) => {
+      if (!bulletinQueue.some(item => item.url === bulletin.url)) {
+        bulletinQueue.push({ ...bulletin, status: 'pending' });
+      }
+    });
+  updateBulletinQueueUI();
+  if (!isQueuePlaying()) playQueueItem(bulletinQueue.findIndex(item => item.status === 'pending'));
+}
 
-    btn.parentNode.insertBefore(placeholder, btn);
-    btn.style.display = 'none';
-    document.body.appendChild(ghost);
+// Play queue entry `index`. Past the end, the queue has finished.
+function playQueueItem(index) {
+  if (index < 0 || index >= bulletinQueue.length) {
+    if (bulletinQueueIndex >= 0) {
+      showToast({ message: 'Catch-up queue finished.', type: 'info', duration: 3000 });
+    }
+    bulletinQueueIndex = -1;
+    updateBulletinQueueUI();
+    return;
+  }
+  const item = bulletinQueue[index];
+  bulletinQueue.forEach((other) => {
+    if (other.status === 'playing') other.status = 'played';
+  });
+  item.status = 'playing';
+  bulletinQueueIndex = index;
+  setActiveNewsButton(item.providerId);
+  startBulletin(item.providerId, item.url, getBulletinEntryLabels(item).button, item.publishedAt, true);
+  updateBulletinQueueUI();
+}
 
-    updateDrag();
+function finishQueueItem() {
+  const item = bulletinQueue[bulletinQueueIndex];
+  if (item) item.status = 'played';
+  playQueueItem(bulletinQueueIndex + 1);
+}
+
+// The current entry failed to load (usually a 404): mark it and move on
+function skipQueueItem() {
+  const item = bulletinQueue[bulletinQueueIndex];
+  if (item) {
+    item.status = 'skipped';
+    const provider = bulletinProviders.get(item.providerId);
+    debug(`Skipping unavailable ${provider.name} bulletin ${item.url}`);
   }
+  playQueueItem(bulletinQueueIndex + 1);
+}
 
-  function updateDrag() {
-    rafPending = false;
-    if (!ghost) return;
+// "+" queues a bulletin, "✓" (queued) removes it again
+function updateQueueToggle(button, url) {
+  const queued = bulletinQueue.some(item => item.url === url);
+  button.textContent = queued ? '✓' : '+';
+  button.title = queued ? 'Remove from catch-up queue' : 'Add to catch-up queue';
+  button.classList.toggle('queued', queued);
+}
 
-    const listRect = stationsList.getBoundingClientRect();
-    const ghostTop = latestClientY - ghostOffsetY;
-    ghost.style.transform = `translate3d(${listRect.left}px, ${ghostTop}px, 0)`;
+function updateBulletinQueueUI() {
+  if (renderBulletinQueue) renderBulletinQueue();
+  if (refreshArchiveDownloads) refreshArchiveDownloads();
+}
 
-    const items = Array.from(stationsList.querySelectorAll('.station-btn'))
-      .filter((el) => el !== placeholder && el !== draggedButton);
+function setupBulletinQueue() {
+  const panel = document.getElementById('bulletin-queue');
+  const list = document.getElementById('queue-list');
+  const playBtn = document.getElementById('queue-play');
+  const clearBtn = document.getElementById('queue-clear');
+  if (!panel || !list) return;
+
+  const statusLabels = { pending: '', playing: 'Playing', played: 'Played', skipped: 'Not available' };
+  // Where "Play" picks up: an entry left part-way, or the first not yet played
+  const getResumeIndex = () => bulletinQueue.findIndex(item => item.status === 'playing' || item.status === 'pending');
+
+  renderBulletinQueue = () => {
+    panel.hidden = bulletinQueue.length === 0;
+    if (playBtn) playBtn.disabled = isQueuePlaying() || getResumeIndex() === -1;
+    list.replaceChildren(...bulletinQueue.map((item, index) => {
+      const provider = bulletinProviders.get(item.providerId);
+      const li = document.createElement('li');
+      li.className = `archive-item queue-item ${item.status}`;
+
+      const entry = document.createElement('button');
+      entry.className = 'archive-entry';
+      entry.classList.toggle('current', index === bulletinQueueIndex && isQueuePlaying());
+      const time = document.createElement('span');
+      time.className = 'archive-time';
+      time.textContent = `${getBulletinProviderName(provider)} ${getBulletinEntryLabels(item).archive}`;
+      const status = document.createElement('span');
+      status.className = 'archive-status';
+      status.textContent = item.status === 'playing' && !isQueuePlaying() ? 'Stopped' : statusLabels[item.status];
+      entry.append(time, status);
+      entry.addEventListener('click', () => playQueueItem(index));
+
+      const remove = document.createElement('button');
+      remove.className = 'archive-queue';
+      remove.title = 'Remove from queue';
+      remove.textContent = '✕';
+      remove.disabled = index === bulletinQueueIndex && isQueuePlaying();
+      remove.addEventListener('click', () => removeQueueItem(index));
+
+      li.append(entry, remove);
+      return li;
+    }));
+  };
 
-    let insertBeforeNode = null;
-    for (const item of items) {
-      const box = item.getBoundingClientRect();
-      const midpoint = box.top + box.height / 2;
-      if (latestClientY < midpoint) {
-        insertBeforeNode = item;
-        break;
-      }
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      playQueueItem(getResumeIndex());
+    });
+  }
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      bulletinQueue = [];
+      bulletinQueueIndex = -1;
+      // The playing bulletin carries on, just without advancing
+      if (isQueuePlaying()) currentStation.options.queued = false;
+      updateBulletinQueueUI();
+    });
+  }
+  renderBulletinQueue();
+}
+
+function setActiveNewsButton(type) {
+  document.querySelectorAll('.station-btn').forEach(btn => btn.classList.remove('active'));
+  document.querySelectorAll('.news-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.getAttribute('data-type') === type);
+  });
+}
+
+// Custom stations are stored as catalog-shaped entries in localStorage
+function loadCustomStations() {
+  let saved = [];
+  try {
+    saved = JSON.parse(localStorage.getItem(CUSTOM_STATIONS_KEY) || '[]');
+  } catch (e) {
+    saved = [];
+  }
+  if (!Array.isArray(saved)) saved = [];
+
+  customStations = saved
+    .map(entry => normalizeStation({ ...entry, custom: true }))
+    .filter(station => station && !stationsById.has(station.id));
+  customStations.forEach(station => stationsById.set(station.id, station));
+  return customStations;
+}
+
+function saveCustomStations() {
+  try {
+    localStorage.setItem(CUSTOM_STATIONS_KEY, JSON.stringify(customStations.map(station => ({
+      id: station.id,
+      name: station.name,
+      location: station.location,
+      type: station.type,
+      streams: station.streams
+    }))));
+    return true;
+  } catch (e) {
+    console.warn('Failed to save custom stations:', e);
+    showToast({
+      title: 'Unable to Save Station',
+      message: 'Browser storage is full or unavailable.',
+      type: 'error',
+      duration: 6000
+    });
+    return false;
+  }
+}
+
+// Returns { url } for a usable stream URL, or { error } describing the problem
+function validateStreamUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(String(value).trim());
+  } catch (e) {
+    return { error: 'Enter a full stream URL, starting with https://' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { error: 'Only http:// and https:// stream URLs are supported.' };
+  }
+  if (parsed.protocol === 'http:' && location.protocol === 'https:') {
+    return { error: 'Browsers block http:// streams on this secure page. Use an https:// URL.' };
+  }
+  return { url: parsed.toString() };
+}
+
+// Check that a stream URL can actually be played, using a throwaway Audio
+// element the same way loadNewsBulletin tests bulletins before loading them.
+function probeStreamUrl(url, timeoutMs = 15000) {
+  return new Promise((resolve) => {
+    const testAudio = new Audio();
+    let hls = null;
+    let settled = false;
+    let timeoutId = null;
+
+    const finish = (ok, reason) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      testAudio.removeEventListener('canplay', canplayHandler);
+      testAudio.removeEventListener('error', errorHandler);
+      if (hls) {
+        hls.destroy();
+        hls = null;
+      }
+      testAudio.pause();
+      testAudio.src = '';
+      resolve({ ok, reason });
+    };
+    const canplayHandler = () => finish(true);
+    const errorHandler = () => finish(false, 'error');
+
+    testAudio.addEventListener('canplay', canplayHandler);
+    testAudio.addEventListener('error', errorHandler);
+    timeoutId = setTimeout(() => finish(false, 'timeout'), timeoutMs);
+
+    if (isHlsUrl(url) && typeof Hls !== 'undefined' && Hls.isSupported()) {
+      hls = new Hls();
+      hls.on(Hls.Events.MANIFEST_PARSED, () => finish(true));
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) finish(false, 'error');
+      });
+      hls.loadSource(url);
+      hls.attachMedia(testAudio);
+    } else {
+      testAudio.src = url;
+    }
+  });
+}
+
+// Add / rename form for custom stations
+function setupStationForm(stationsList) {
+  const form = document.getElementById('station-form');
+  const addBtn = document.getElementById('add-station-btn');
+  if (!form || !stationsList) return;
+
+  const title = document.getElementById('station-form-title');
+  const nameInput = document.getElementById('station-form-name');
+  const locationInput = document.getElementById('station-form-location');
+  const urlInput = document.getElementById('station-form-url');
+  const status = document.getElementById('station-form-status');
+  const saveBtn = document.getElementById('station-form-save');
+  const cancelBtn = document.getElementById('station-form-cancel');
+  let editingId = null;
+  let probeToken = 0;
+
+  function setStatus(text, isError) {
+    status.textContent = text;
+    status.classList.toggle('error', !!isError);
+  }
+
+  function closeForm() {
+    probeToken++;
+    form.hidden = true;
+    saveBtn.disabled = false;
+    if (addBtn) addBtn.classList.remove('active');
+  }
+
+  function open(station) {
+    editingId = station ? station.id : null;
+    title.textContent = station ? 'Edit station' : 'Add station';
+    saveBtn.textContent = station ? 'Save' : 'Add';
+    nameInput.value = station ? station.name : '';
+    locationInput.value = station ? station.location : '';
+    urlInput.value = station ? station.streams[0].url : '';
+    setStatus('');
+    saveBtn.disabled = false;
+    form.hidden = false;
+    if (addBtn) addBtn.classList.toggle('active', !station);
+    nameInput.focus();
+  }
+
+  if (addBtn) {
+    addBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!form.hidden && !editingId) {
+        closeForm();
+      } else {
+        open(null);
+      }
+    });
+  }
+  cancelBtn.addEventListener('click', closeForm);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = nameInput.value.trim();
+    const locationText = locationInput.value.trim() || 'Custom';
+    if (!name) {
+      setStatus('Give the station a name.', true);
+      return;
+    }
+    const { url, error } = validateStreamUrl(urlInput.value);
+    if (error) {
+      setStatus(error, true);
+      return;
+    }
+
+    const existing = editingId ? stationsById.get(editingId) : null;
+    const urlChanged = !existing || existing.streams[0].url !== url;
+    if (urlChanged) {
+      const token = ++probeToken;
+      saveBtn.disabled = true;
+      setStatus('Checking stream…');
+      const result = await probeStreamUrl(url);
+      if (token !== probeToken) return; // Form was closed or resubmitted
+      saveBtn.disabled = false;
+      if (!result.ok) {
+        setStatus(result.reason === 'timeout'
+          ? 'The stream did not respond. Check the URL and try again.'
+          : 'This URL could not be played as an audio stream.', true);
+        return;
+      }
+    }
+
+    const streams = [{ url, format: isHlsUrl(url) ? 'hls' : 'stream' }];
+    if (existing) {
+      existing.name = name;
+      existing.location = locationText;
+      existing.streams = streams;
+      if (!saveCustomStations()) return;
+      const button = stationsList.querySelector(`.station-btn[data-id="${existing.id}"]`);
+      if (button) updateStationButton(button, existing);
+    } else {
+      const station = normalizeStation({
+        id: `custom-${Date.now().toString(36)}`,
+        name,
+        location: locationText,
+        type: 'audio',
+        streams,
+        custom: true
+      });
+      customStations.push(station);
+      stationsById.set(station.id, station);
+      if (!saveCustomStations()) {
+        customStations.pop();
+        stationsById.delete(station.id);
+        return;
+      }
+      stationsList.appendChild(createStationButton(station));
+      saveStationOrder(stationsList);
+      showToast({
+        title: 'Station Added',
+        message: `${escapeHtml(name)} is now in your station list.`,
+        type: 'success',
+        duration: 3000
+      });
+    }
+    closeForm();
+  });
+
+  openStationForm = open;
+}
+
+function deleteCustomStation(id, stationsList) {
+  const index = customStations.findIndex(station => station.id === id);
+  if (index === -1) return;
+  const station = customStations[index];
+  const button = stationsList.querySelector(`.station-btn[data-id="${id}"]`);
+  const nextButton = button ? button.nextElementSibling : null;
+
+  customStations.splice(index, 1);
+  stationsById.delete(id);
+  saveCustomStations();
+  if (button) button.remove();
+  saveStationOrder(stationsList);
+
+  showToast({
+    title: 'Station Deleted',
+    message: `${escapeHtml(station.name)} was removed.`,
+    type: 'info',
+    duration: 6000,
+    action: {
+      text: 'Undo',
+      callback: () => {
+        customStations.splice(Math.min(index, customStations.length), 0, station);
+        stationsById.set(station.id, station);
+        saveCustomStations();
+        const restored = button || createStationButton(station);
+        if (nextButton && nextButton.parentNode === stationsList) {
+          stationsList.insertBefore(restored, nextButton);
+        } else {
+          stationsList.appendChild(restored);
+        }
+        saveStationOrder(stationsList);
+      }
+    }
+  });
+}
+
+// Settings panel toggled from the status bar
+function setupSettingsPanel() {
+  const settingsBtn = document.getElementById('settings-btn');
+  const panel = document.getElementById('settings-panel');
+  if (!settingsBtn || !panel) return;
+
+  settingsBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    settingsBtn.classList.toggle('active', !panel.hidden);
+  });
+
+  // News region choice for each provider that publishes regional bulletins
+  const regionSettings = document.getElementById('bulletin-region-settings');
+  if (regionSettings) {
+    bulletinProviders.forEach((provider) => {
+      if (!provider.regions || provider.regions.length === 0) return;
+      addSettingsSelect(regionSettings, `${provider.name} news region`,
+        provider.regions.map(region => ({ value: region.id, label: region.name })),
+        getBulletinRegion(provider).id,
+        (value) => {
+          setBulletinRegion(provider.id, value);
+          const tab = document.querySelector(`.archive-tab[data-type="${provider.id}"]`);
+          if (tab) tab.textContent = getBulletinProviderName(provider);
+        });
+    });
+  }
+
+  const playbackSettings = document.getElementById('playback-settings');
+  if (playbackSettings) {
+    addSettingsSelect(playbackSettings, 'Live rewind buffer',
+      TIMESHIFT_MINUTE_OPTIONS.map(minutes => ({ value: String(minutes), label: minutes ? `${minutes} min` : 'Off' })),
+      String(getSetting('timeShiftMinutes', TIMESHIFT_DEFAULT_MINUTES)),
+      (value) => {
+        setSetting('timeShiftMinutes', parseInt(value, 10));
+        showToast({ message: 'Takes effect from the next station you play.', type: 'info', duration: 3000 });
+      });
+  }
+}
+
+// Add a labelled <select> row to a settings section
+function addSettingsSelect(container, labelText, options, value, onChange) {
+  const row = document.createElement('label');
+  row.className = 'settings-row';
+
+  const text = document.createElement('span');
+  text.textContent = labelText;
+
+  const select = document.createElement('select');
+  select.className = 'settings-select';
+  options.forEach(({ value: optionValue, label }) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+
+  row.append(text, select);
+  container.appendChild(row);
+  return select;
+}
+
+// Initialize audio player
+function initializePlayer() {
+  // Prevent multiple initializations
+  if (isPlayerInitialized) {
+    debug('Player already initialized, skipping');
+    return;
+  }
+  isPlayerInitialized = true;
+
+  const stationsList = document.querySelector('.stations');
+  renderNewsButtons(document.querySelector('.news-buttons'));
+  const newsButtons = document.querySelectorAll('.news-btn');
+  const playPauseBtn = document.getElementById('play-pause-btn');
+  const volumeSlider = document.getElementById('volume-slider');
+  const nowPlaying = document.getElementById('now-playing');
+  const refreshMetadataBtn = document.getElementById('refresh-metadata-btn');
+  const bulletinControls = document.getElementById('bulletin-controls');
+  const scrubSlider = document.getElementById('scrub-slider');
+  const currentTimeLabel = document.getElementById('current-time');
+  const durationTimeLabel = document.getElementById('duration-time');
+  const skipBackBtn = document.getElementById('skip-back-btn');
+  const skipForwardBtn = document.getElementById('skip-forward-btn');
+  const goLiveBtn = document.getElementById('go-live-btn');
+  const speedStrip = document.getElementById('speed-strip');
+  const speedTrack = speedStrip ? speedStrip.querySelector('.speed-track') : null;
+  const speedIndicator = document.getElementById('speed-indicator');
+  const speedOptions = speedStrip ? Array.from(speedStrip.querySelectorAll('.speed-option')) : [];
+
+  // Position the sliding indicator behind the active option
+  function positionIndicator(animate) {
+    if (!speedTrack || !speedIndicator) return;
+    const activeOpt = speedOptions.find(opt => parseFloat(opt.dataset.speed) === currentSpeed);
+    if (!activeOpt) return;
+    const trackRect = speedTrack.getBoundingClientRect();
+    const optRect = activeOpt.getBoundingClientRect();
+    if (trackRect.width === 0) return;
+    if (!animate) speedIndicator.style.transition = 'none';
+    speedIndicator.style.left = `${optRect.left - trackRect.left}px`;
+    speedIndicator.style.width = `${optRect.width}px`;
+    if (!animate) requestAnimationFrame(() => { speedIndicator.style.transition = ''; });
+  }
+
+  // Playback speed control
+  function setPlaybackSpeed(speed) {
+    currentSpeed = speed;
+    speedOptions.forEach(opt => {
+      opt.classList.toggle('active', parseFloat(opt.dataset.speed) === speed);
+    });
+    if (audio) setPlaybackRate(audio, speed);
+    if (navigator.vibrate) navigator.vibrate(8);
+    positionIndicator(true);
+    if (speedIndicator) speedIndicator.classList.toggle('elevated', speed > 1);
+  }
+
+  speedOptions.forEach(opt => {
+    opt.addEventListener('click', () => {
+      setPlaybackSpeed(parseFloat(opt.dataset.speed));
+    });
+  });
+
+  const skipSilenceBtn = document.getElementById('skip-silence-btn');
+  if (skipSilenceBtn) skipSilenceBtn.addEventListener('click', toggleSkipSilences);
+
+  // Drag-to-slide gesture on speed track
+  if (speedTrack) {
+    let dragState = null;
+
+    function computeZones() {
+      return speedOptions.map(opt => {
+        const r = opt.getBoundingClientRect();
+        return { left: r.left, right: r.right, speed: parseFloat(opt.dataset.speed) };
+      });
+    }
+
+    function zoneAtX(zones, clientX) {
+      if (clientX <= zones[0].right) return zones[0];
+      if (clientX >= zones[zones.length - 1].left) return zones[zones.length - 1];
+      return zones.find(z => clientX >= z.left && clientX < z.right) || zones[0];
+    }
+
+    speedTrack.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      speedTrack.setPointerCapture(e.pointerId);
+      dragState = { pointerId: e.pointerId, startX: e.clientX, moved: false, zones: computeZones() };
+    });
+
+    speedTrack.addEventListener('pointermove', (e) => {
+      if (!dragState || e.pointerId !== dragState.pointerId) return;
+      if (!dragState.moved && Math.abs(e.clientX - dragState.startX) < 4) return;
+      dragState.moved = true;
+      const zone = zoneAtX(dragState.zones, e.clientX);
+      speedOptions.forEach(opt => opt.classList.toggle('active', parseFloat(opt.dataset.speed) === zone.speed));
+      const matchOpt = speedOptions.find(opt => parseFloat(opt.dataset.speed) === zone.speed);
+      if (matchOpt && speedTrack) {
+        const tr = speedTrack.getBoundingClientRect();
+        const or = matchOpt.getBoundingClientRect();
+        speedIndicator.style.transition = 'none';
+        speedIndicator.style.left = `${or.left - tr.left}px`;
+        speedIndicator.style.width = `${or.width}px`;
+      }
+    });
+
+    speedTrack.addEventListener('pointerup', (e) => {
+      if (!dragState || e.pointerId !== dragState.pointerId) return;
+      const wasDrag = dragState.moved;
+      dragState = null;
+      if (wasDrag) {
+        speedIndicator.style.transition = '';
+        const activeOpt = speedOptions.find(opt => opt.classList.contains('active'));
+        setPlaybackSpeed(activeOpt ? parseFloat(activeOpt.dataset.speed) : 1);
+      }
+    });
+
+    speedTrack.addEventListener('pointercancel', (e) => {
+      if (!dragState || e.pointerId !== dragState.pointerId) return;
+      dragState = null;
+      speedIndicator.style.transition = '';
+      positionIndicator(true);
+      speedOptions.forEach(opt => opt.classList.toggle('active', parseFloat(opt.dataset.speed) === currentSpeed));
+    });
+  }
+
+  // Update news button times
+  updateNewsButtonTimes();
+  setupMediaSessionHandlers();
+  // Refresh times every minute (clear old interval if exists)
+  if (newsUpdateInterval) {
+    clearInterval(newsUpdateInterval);
+  }
+  newsUpdateInterval = setInterval(updateNewsButtonTimes, 60000);
+
+  // Refresh now-playing metadata button
+  refreshMetadataBtn.addEventListener('click', () => {
+    refreshMetadata();
+  });
+
+  // Edit mode toggle
+  const editStationsBtn = document.getElementById('edit-stations-btn');
+  if (editStationsBtn) {
+    editStationsBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      isEditMode = !isEditMode;
+      editStationsBtn.classList.toggle('active', isEditMode);
+      if (stationsList) {
+        stationsList.classList.toggle('editing', isEditMode);
+      }
+      if (!isEditMode) {
+        saveStationOrder(stationsList);
+      }
+    });
+  }
+
+  // Station selection (delegated so rendered buttons need no per-button wiring)
+  if (stationsList) {
+    stationsList.addEventListener('click', (e) => {
+      const button = e.target.closest('.station-btn');
+      if (!button) return;
+
+      // Rename/delete actions on custom stations (edit mode only)
+      const action = e.target.closest('.station-action');
+      if (action) {
+        e.stopPropagation();
+        if (!isEditMode) return;
+        if (action.dataset.action === 'rename' && openStationForm) {
+          openStationForm(stationsById.get(button.dataset.id));
+        } else if (action.dataset.action === 'delete') {
+          deleteCustomStation(button.dataset.id, stationsList);
+        }
+        return;
+      }
+
+      if (isEditMode) return;
+      const station = stationsById.get(button.dataset.id);
+      if (!station) return;
+      playStation(station);
+    });
+  }
+
+  // Render stations from the catalog, then restore saved order before enabling drag/drop
+  setupStations(stationsList);
+  setupStationForm(stationsList);
+
+  // News bulletin selection
+  newsButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      const type = button.getAttribute('data-type');
+
+      // Update active state
+      setActiveNewsButton(type);
+
+      // Load news bulletin with fallback
+      loadNewsBulletin(type);
+    });
+  });
+
+  setupOfflineBulletins();
+  setupBulletinArchive();
+  setupBulletinQueue();
+  setupResumePrompt();
+  setupSettingsPanel();
+  setupSleepTimer();
+  setupAlarms();
+  setupReminders();
+  setupRecording();
+  setupVideoView();
+  setupSoundPanel();
+  setupVisualiser();
+  setupSchedule();
+  setupTrackHistory();
+
+  const streamSourceBtn = document.getElementById('stream-source');
+  if (streamSourceBtn) {
+    streamSourceBtn.addEventListener('click', switchStreamSource);
+  }
+
+  // Play/Pause control
+  playPauseBtn.addEventListener('click', () => {
+    if (!audio) return;
+
+    if (audio.paused) {
+      audio.play();
+    } else {
+      audio.pause();
+    }
+    syncPlaybackUI();
+  });
+
+  // Volume control with validation
+  function handleVolumeChange(e) {
+    if (audio) {
+      const value = Math.max(0, Math.min(100, parseInt(e.target.value) || 0));
+      // Update slider to validated value
+      e.target.value = value;
+      applyOutputVolume();
+    }
+    updateVolumeSliderFill();
+  }
+  volumeSlider.addEventListener('input', handleVolumeChange);
+  // 'change' fires on some mobile browsers that don't fire 'input' during drag
+  volumeSlider.addEventListener('change', handleVolumeChange);
+
+  // Prevent page scroll while dragging volume slider on mobile
+  volumeSlider.addEventListener('touchstart', (e) => {
+    e.stopPropagation();
+  }, { passive: true });
+  volumeSlider.addEventListener('touchmove', (e) => {
+    e.stopPropagation();
+  }, { passive: true });
+
+  function updateVolumeSliderFill() {
+    if (!volumeSlider) return;
+    const value = Math.max(0, Math.min(100, parseInt(volumeSlider.value) || 0));
+    volumeSlider.style.setProperty('--volume-fill', `${value}%`);
+  }
+  updateVolumeSliderFill();
+
+  function setBulletinControlsVisible(visible) {
+    if (!bulletinControls) return;
+    bulletinControls.classList.toggle('active', visible);
+    bulletinControls.setAttribute('aria-hidden', visible ? 'false' : 'true');
+  }
+
+  function isSeekableAudio() {
+    return !!getSeekRange();
+  }
+
+  function syncScrubUIInternal() {
+    if (!scrubSlider || !currentTimeLabel || !durationTimeLabel) return;
+    if (!audio) {
+      currentTimeLabel.textContent = '0:00';
+      durationTimeLabel.textContent = '0:00';
+      scrubSlider.value = 0;
+      scrubSlider.min = 0;
+      scrubSlider.max = 100;
+      return;
+    }
+
+    const range = getSeekRange();
+    // A live buffer appears a few seconds after the stream starts
+    if (bulletinControls && !!range !== bulletinControls.classList.contains('active')) {
+      updateBulletinControlsStateInternal();
+      return;
+    }
+
+    if (range && range.live) {
+      // Live: show how far behind the edge we are
+      const behind = Math.max(0, range.end - audio.currentTime);
+      currentTimeLabel.textContent = `-${formatTime(behind)}`;
+      durationTimeLabel.textContent = 'LIVE';
+      if (goLiveBtn) goLiveBtn.hidden = behind <= LIVE_EDGE_TOLERANCE_SECONDS;
+      // Fast playback catches up with live and can go no further
+      if (behind < 2 && currentSpeed > 1) resetPlaybackSpeed();
+      if (!isScrubbing) {
+        scrubSlider.min = range.start;
+        scrubSlider.max = range.end;
+        scrubSlider.value = audio.currentTime || 0;
+      }
+      return;
+    }
+
+    if (goLiveBtn) goLiveBtn.hidden = true;
+    const duration = isFinite(audio.duration) ? audio.duration : 0;
+    durationTimeLabel.textContent = formatTime(duration);
+    currentTimeLabel.textContent = formatTime(audio.currentTime);
+
+    if (!isScrubbing) {
+      scrubSlider.min = 0;
+      scrubSlider.max = duration || 0;
+      scrubSlider.value = audio.currentTime || 0;
+    }
+  }
+
+  function resetPlaybackSpeed() {
+    setPlaybackSpeed(1);
+  }
+
+  function updateBulletinControlsStateInternal() {
+    const shouldShow = !!currentStation && isSeekableAudio();
+    setBulletinControlsVisible(shouldShow);
+    if (speedStrip) speedStrip.classList.toggle('visible', shouldShow);
+    if (shouldShow) {
+      // Double rAF: ensure display:block has been laid out before measuring
+      requestAnimationFrame(() => requestAnimationFrame(() => positionIndicator(false)));
+    }
+    if (!shouldShow) {
+      resetPlaybackSpeed();
+    }
+    if (goLiveBtn && !shouldShow) goLiveBtn.hidden = true;
+    if (skipBackBtn) skipBackBtn.disabled = !shouldShow;
+    if (skipForwardBtn) skipForwardBtn.disabled = !shouldShow;
+    if (scrubSlider) scrubSlider.disabled = !shouldShow;
+    if (shouldShow) {
+      syncScrubUIInternal();
+    }
+  }
+
+  // Scrub slider interactions
+  if (scrubSlider) {
+    scrubSlider.addEventListener('input', (e) => {
+      const range = getSeekRange();
+      if (!range) return;
+      isScrubbing = true;
+      const target = Math.max(range.start, Math.min(range.end, parseFloat(e.target.value) || 0));
+      audio.currentTime = target;
+      syncScrubUIInternal();
+    });
+
+    scrubSlider.addEventListener('change', () => {
+      isScrubbing = false;
+      syncScrubUIInternal();
+    });
+
+    scrubSlider.addEventListener('pointerdown', () => {
+      isScrubbing = true;
+    });
+    scrubSlider.addEventListener('pointerup', () => {
+      isScrubbing = false;
+      syncScrubUIInternal();
+    });
+  }
+
+  // Skip controls
+  if (skipBackBtn) {
+    skipBackBtn.addEventListener('click', () => {
+      const range = getSeekRange();
+      if (!range) return;
+      const nextTime = Math.max(range.start, (audio.currentTime || 0) - 15);
+      audio.currentTime = nextTime;
+      syncScrubUIInternal();
+    });
+  }
+  if (skipForwardBtn) {
+    skipForwardBtn.addEventListener('click', () => {
+      const range = getSeekRange();
+      if (!range) return;
+      const nextTime = Math.min(range.end, (audio.currentTime || 0) + 15);
+      audio.currentTime = nextTime;
+      syncScrubUIInternal();
+    });
+  }
+
+  if (goLiveBtn) {
+    goLiveBtn.addEventListener('click', () => {
+      seekToLive();
+      resetPlaybackSpeed();
+      syncScrubUIInternal();
+    });
+  }
+
+  // Expose for loadStation updates
+  updateBulletinControlsState = updateBulletinControlsStateInternal;
+  syncScrubUI = syncScrubUIInternal;
+}
+
+async function setupStations(stationsList) {
+  if (!stationsList) return;
+  try {
+    await loadStationCatalog();
+  } catch (error) {
+    console.error('Failed to load station catalog:', error);
+    showToast({
+      title: 'Stations Unavailable',
+      message: 'Unable to load the station list. Check your connection.',
+      type: 'error',
+      duration: 0,
+      action: {
+        text: 'Retry',
+        callback: () => setupStations(stationsList)
+      }
+    });
+    return;
+  }
+
+  loadCustomStations();
+  renderStations(stationsList, [...stationCatalog, ...customStations]);
+  restoreStationOrder(stationsList);
+  enableStationReorder(stationsList);
+  playStationFromUrl();
+}
+
+// Saved order is a list of station ids. Older versions stored stream URLs
+// under stationOrderV1, which are mapped back to ids on first load.
+function getSavedStationOrder() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('stationOrderV2') || 'null');
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    // Fall through to legacy order
+  }
+
+  let legacy = [];
+  try {
+    legacy = JSON.parse(localStorage.getItem('stationOrderV1') || '[]');
+  } catch (e) {
+    legacy = [];
+  }
+  if (!Array.isArray(legacy)) return [];
+  const idsByUrl = new Map();
+  stationCatalog.forEach(station => {
+    station.streams.forEach(stream => idsByUrl.set(stream.url, station.id));
+  });
+  return legacy.map(url => idsByUrl.get(url)).filter(Boolean);
+}
+
+function restoreStationOrder(stationsList) {
+  if (!stationsList) return;
+  const saved = getSavedStationOrder();
+  if (saved.length === 0) return;
+
+  const buttons = Array.from(stationsList.querySelectorAll('.station-btn'));
+  const map = new Map(buttons.map(btn => [btn.dataset.id, btn]));
+
+  saved.forEach((id) => {
+    const btn = map.get(id);
+    if (btn) {
+      stationsList.appendChild(btn);
+      map.delete(id);
+    }
+  });
+  // Append any new stations not in saved order
+  map.forEach((btn) => stationsList.appendChild(btn));
+}
+
+function saveStationOrder(stationsList) {
+  if (!stationsList) return;
+  const order = Array.from(stationsList.querySelectorAll('.station-btn'))
+    .map(btn => btn.dataset.id)
+    .filter(Boolean);
+  try {
+    localStorage.setItem('stationOrderV2', JSON.stringify(order));
+    localStorage.removeItem('stationOrderV1');
+  } catch (e) {
+    console.warn('Failed to save station order:', e);
+  }
+}
+
+function enableStationReorder(stationsList) {
+  if (!stationsList) return;
+  let draggedButton = null;
+  let ghost = null;
+  let placeholder = null;
+  let isDragging = false;
+  let dragStartY = 0;
+  let ghostOffsetY = 0;
+  let latestClientY = 0;
+  let rafPending = false;
+  const moveThreshold = 6;
+  let dragStarted = false;
+  let onWindowMove = null;
+  let onWindowUp = null;
+
+  // Delegated so stations added later (custom stations) are reorderable too
+  if (stationsList.dataset.reorderEnabled) return;
+  stationsList.dataset.reorderEnabled = 'true';
+
+  // Prevent iOS text selection/callout on long-press
+  stationsList.addEventListener('touchstart', (e) => {
+    if (!isEditMode || e.target.closest('.station-action')) return;
+    if (!e.target.closest('.station-btn')) return;
+    e.preventDefault();
+  }, { passive: false });
+
+  stationsList.addEventListener('pointerdown', (e) => {
+    if (!isEditMode || e.target.closest('.station-action')) return;
+    const btn = e.target.closest('.station-btn');
+    if (!btn) return;
+    e.preventDefault();
+    e.stopPropagation();
+    dragStartY = e.clientY;
+    dragStarted = false;
+    draggedButton = btn;
+    latestClientY = e.clientY;
+
+    const rect = btn.getBoundingClientRect();
+    ghostOffsetY = e.clientY - rect.top;
+
+    onWindowMove = (evt) => {
+      if (!draggedButton) return;
+      evt.preventDefault();
+      latestClientY = evt.clientY;
+
+      if (!dragStarted && Math.abs(evt.clientY - dragStartY) > moveThreshold) {
+        dragStarted = true;
+        beginDrag(btn);
+      }
+
+      if (isDragging && !rafPending) {
+        rafPending = true;
+        requestAnimationFrame(updateDrag);
+      }
+    };
+    onWindowUp = () => {
+      if (isDragging) {
+        finishDrag();
+      } else {
+        cleanupPendingDrag();
+      }
+    };
+    window.addEventListener('pointermove', onWindowMove, { passive: false });
+    window.addEventListener('pointerup', onWindowUp);
+    window.addEventListener('pointercancel', onWindowUp);
+  });
+
+  function cleanupPendingDrag() {
+    draggedButton = null;
+    dragStarted = false;
+    if (onWindowMove) {
+      window.removeEventListener('pointermove', onWindowMove);
+      onWindowMove = null;
+    }
+    if (onWindowUp) {
+      window.removeEventListener('pointerup', onWindowUp);
+      window.removeEventListener('pointercancel', onWindowUp);
+      onWindowUp = null;
+    }
+  }
+
+  function beginDrag(btn) {
+    if (isDragging) return;
+    isDragging = true;
+    document.body.classList.add('reordering');
+
+    const rect = btn.getBoundingClientRect();
+
+    placeholder = document.createElement('div');
+    placeholder.className = 'station-btn reorder-placeholder';
+    placeholder.style.height = `${rect.height}px`;
+
+    ghost = btn.cloneNode(true);
+    ghost.classList.add('drag-ghost');
+    ghost.style.width = `${rect.width}px`;
+    ghost.style.transform = `translate3d(${rect.left}px, ${rect.top}px, 0)`;
+
+    btn.parentNode.insertBefore(placeholder, btn);
+    btn.style.display = 'none';
+    document.body.appendChild(ghost);
+
+    updateDrag();
+  }
+
+  function updateDrag() {
+    rafPending = false;
+    if (!ghost) return;
+
+    const listRect = stationsList.getBoundingClientRect();
+    const ghostTop = latestClientY - ghostOffsetY;
+    ghost.style.transform = `translate3d(${listRect.left}px, ${ghostTop}px, 0)`;
+
+    const items = Array.from(stationsList.querySelectorAll('.station-btn'))
+      .filter((el) => el !== placeholder && el !== draggedButton);
+
+    let insertBeforeNode = null;
+    for (const item of items) {
+      const box = item.getBoundingClientRect();
+      const midpoint = box.top + box.height / 2;
+      if (latestClientY < midpoint) {
+        insertBeforeNode = item;
+        break;
+      }
+    }
+
+    if (insertBeforeNode) {
+      if (insertBeforeNode !== placeholder) {
+        stationsList.insertBefore(placeholder, insertBeforeNode);
+      }
+    } else {
+      stationsList.appendChild(placeholder);
+    }
+  }
+
+  function finishDrag() {
+    isDragging = false;
+    dragStarted = false;
+    if (onWindowMove) {
+      window.removeEventListener('pointermove', onWindowMove);
+      onWindowMove = null;
+    }
+    if (onWindowUp) {
+      window.removeEventListener('pointerup', onWindowUp);
+      window.removeEventListener('pointercancel', onWindowUp);
+      onWindowUp = null;
+    }
+    if (ghost) {
+      ghost.remove();
+      ghost = null;
+    }
+    if (placeholder && draggedButton) {
+      stationsList.insertBefore(draggedButton, placeholder);
+      placeholder.remove();
+      placeholder = null;
+    }
+    if (draggedButton) {
+      draggedButton.style.display = '';
+    }
+    draggedButton = null;
+    document.body.classList.remove('reordering');
+    saveStationOrder(stationsList);
+  }
+}
+
+// Stream URL that last played for a station, if it has more than one source
+function getPreferredStreamUrl(stationId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STREAM_SOURCES_KEY) || '{}');
+    return saved[stationId] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function rememberStreamSource(stationId, url) {
+  if (getPreferredStreamUrl(stationId) === url) return;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STREAM_SOURCES_KEY) || '{}');
+    saved[stationId] = url;
+    localStorage.setItem(STREAM_SOURCES_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn('Failed to save stream source:', e);
+  }
+}
+
+// A station's streams in the order to try them: the one that last worked,
+// then the rest in catalog order
+function getOrderedStreams(station) {
+  const preferred = getPreferredStreamUrl(station.id);
+  const index = station.streams.findIndex(stream => stream.url === preferred);
+  if (index <= 0) return station.streams.slice();
+  return [station.streams[index], ...station.streams.filter((_, i) => i !== index)];
+}
+
+function describeStreamSource(stream) {
+  if (stream.label) return stream.label;
+  if (stream.format) return stream.format.toUpperCase();
+  try {
+    return new URL(stream.url).hostname;
+  } catch (e) {
+    return 'Stream';
+  }
+}
+
+// Show which source is playing for stations that have alternates
+function updateStreamSourceIndicator() {
+  const indicator = document.getElementById('stream-source');
+  if (!indicator) return;
+  const options = currentStation ? currentStation.options : {};
+  const station = options.stationId ? stationsById.get(options.stationId) : null;
+  const sources = options.sources || [];
+  indicator.hidden = !station || sources.length < 2;
+  if (indicator.hidden) return;
+
+  const stream = sources[options.sourceIndex || 0];
+  const position = station.streams.findIndex(s => s.url === stream.url) + 1;
+  indicator.textContent = `${describeStreamSource(stream)} · ${position}/${station.streams.length}`;
+  indicator.title = `Playing source ${position} of ${station.streams.length}: ${stream.url}. Tap to try the next source.`;
+}
+
+// Manually move on to the station's next source
+function switchStreamSource() {
+  if (!currentStation || !currentStation.options.sources) return;
+  const { sources, sourceIndex = 0 } = currentStation.options;
+  const next = (sourceIndex + 1) % sources.length;
+  loadStation(sources[next].url, currentStation.name, { ...currentStation.options, sourceIndex: next });
+}
+
+// Select and play a station from the catalog (or a custom station)
+function playStation(station, extraOptions) {
+  const streams = getOrderedStreams(station);
+  const url = streams[0].url;
+  const name = station.name;
+  const isVideo = station.type === 'video';
+
+  // Update active state
+  document.querySelectorAll('.station-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.id === station.id);
+  });
+  document.querySelectorAll('.news-btn').forEach(btn => btn.classList.remove('active'));
+
+  // Reset bulletin times when switching to live station
+  resetLoadedBulletinTimes();
+  updateNewsButtonTimes();
+
+  // Show one-time data usage notice for video streams
+  if (isVideo && !localStorage.getItem('tvDataWarningShown')) {
+    localStorage.setItem('tvDataWarningShown', '1');
+    showToast({
+      title: 'Data Usage',
+      message: 'TV audio streams use more data than radio stations.',
+      type: 'info',
+      duration: 4000
+    });
+  }
+
+  // Load new station
+  loadStation(url, name, { isVideo, stationId: station.id, sources: streams, sourceIndex: 0, ...extraOptions });
+  document.getElementById('play-pause-btn').disabled = false;
+}
+
+// Alarms are checked against NZ time from getNZDTTime(), so they ring at the
+// same NZ time wherever the device clock is set. The app has to be open.
+function loadAlarms() {
+  try {
+    alarms = JSON.parse(localStorage.getItem(ALARMS_KEY) || '[]');
+  } catch (e) {
+    alarms = [];
+  }
+  if (!Array.isArray(alarms)) alarms = [];
+  return alarms;
+}
+
+function saveAlarms() {
+  try {
+    localStorage.setItem(ALARMS_KEY, JSON.stringify(alarms));
+  } catch (e) {
+    console.warn('Failed to save alarms:', e);
+  }
+}
+
+function parseAlarmTime(time) {
+  const [hours, minutes] = String(time).split(':').map(n => parseInt(n, 10));
+  return { hours: hours || 0, minutes: minutes || 0 };
+}
+
+function describeAlarmTarget(target) {
+  if (target.kind === 'bulletin') {
+    const provider = bulletinProviders.get(target.id);
+    return provider ? `Latest ${getBulletinProviderName(provider)} bulletin` : 'News bulletin';
+  }
+  const station = stationsById.get(target.id);
+  return station ? station.name : 'Unknown station';
+}
+
+function describeAlarmDays(days) {
+  if (!days || days.length === 0) return 'Once';
+  if (days.length === 7) return 'Every day';
+  const sorted = [...days].sort();
+  if (sorted.join() === '1,2,3,4,5') return 'Weekdays';
+  if (sorted.join() === '0,6') return 'Weekends';
+  // List Monday first
+  return [1, 2, 3, 4, 5, 6, 0].filter(day => days.includes(day)).map(day => WEEKDAY_NAMES[day]).join(' ');
+}
+
+// Minutes from NZ time `now` until the alarm next rings, or null if it never will
+function getMinutesUntilAlarm(alarm, now) {
+  if (!alarm.enabled) return null;
+  const { hours, minutes } = parseAlarmTime(alarm.time);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+    const day = (now.getDay() + daysAhead) % 7;
+    const repeats = alarm.days && alarm.days.length > 0;
+    if (repeats && !alarm.days.includes(day)) continue;
+    const until = daysAhead * 1440 + hours * 60 + minutes - nowMinutes;
+    if (until > 0) return until;
+  }
+  return null;
+}
+
+function getNextAlarm() {
+  const now = getNZDTTime();
+  let next = null;
+  alarms.forEach((alarm) => {
+    const minutes = getMinutesUntilAlarm(alarm, now);
+    if (minutes !== null && (!next || minutes < next.minutes)) {
+      next = { alarm, minutes };
+    }
+  });
+  return next;
+}
+
+function updateAlarmIndicator() {
+  const indicator = document.getElementById('alarm-indicator');
+  if (!indicator) return;
+  const next = getNextAlarm();
+  indicator.hidden = !next;
+  if (!next) return;
+
+  const ringsAt = getNZDTTime();
+  ringsAt.setMinutes(ringsAt.getMinutes() + next.minutes);
+  indicator.textContent = `⏰ ${WEEKDAY_NAMES[ringsAt.getDay()]} ${next.alarm.time}`;
+  indicator.title = `Next alarm: ${describeAlarmTarget(next.alarm.target)}`;
+}
+
+function checkAlarms() {
+  const now = getNZDTTime();
+  const stamp = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()} ${now.getHours()}:${now.getMinutes()}`;
+
+  alarms.forEach((alarm) => {
+    if (!alarm.enabled || lastAlarmFired[alarm.id] === stamp) return;
+    const { hours, minutes } = parseAlarmTime(alarm.time);
+    if (now.getHours() !== hours || now.getMinutes() !== minutes) return;
+    const repeats = alarm.days && alarm.days.length > 0;
+    if (repeats && !alarm.days.includes(now.getDay())) return;
+
+    lastAlarmFired[alarm.id] = stamp;
+    if (!repeats) {
+      alarm.enabled = false;
+      saveAlarms();
+      renderAlarmList();
+    }
+    triggerAlarm(alarm);
+  });
+  updateAlarmIndicator();
+}
+
+function triggerAlarm(alarm) {
+  console.log('Alarm ringing:', alarm.time, describeAlarmTarget(alarm.target));
+  cancelSleepTimer();
+  activeAlarm = { alarm, startedAt: Date.now(), usingTone: false };
+  startAlarmRamp();
+
+  const target = alarm.target;
+  if (target.kind === 'bulletin' && bulletinProviders.has(target.id)) {
+    setActiveNewsButton(target.id);
+    loadNewsBulletin(target.id);
+  } else if (stationsById.has(target.id)) {
+    playStation(stationsById.get(target.id));
+  } else {
+    playAlarmTone();
+  }
+
+  showToast({
+    title: 'Alarm',
+    message: `${alarm.time} – ${escapeHtml(describeAlarmTarget(target))}`,
+    type: 'info',
+    duration: 0,
+    icon: '⏰',
+    action: {
+      text: 'Stop',
+      callback: stopAlarm
+    }
+  });
+}
+
+// Gently raise the volume from near-silent to the slider level
+function startAlarmRamp() {
+  if (alarmRampInterval) clearInterval(alarmRampInterval);
+  setVolumeFactor('alarm', 0.05);
+  alarmRampInterval = setInterval(() => {
+    if (!activeAlarm) return;
+    const progress = (Date.now() - activeAlarm.startedAt) / (ALARM_RAMP_SECONDS * 1000);
+    if (progress >= 1) {
+      clearInterval(alarmRampInterval);
+      alarmRampInterval = null;
+      setVolumeFactor('alarm', null);
+      return;
+    }
+    setVolumeFactor('alarm', 0.05 + 0.95 * progress);
+  }, 1000);
+}
+
+// Bundled tone for when the alarm's stream can't be played
+function playAlarmTone() {
+  if (!activeAlarm || activeAlarm.usingTone) return;
+  activeAlarm.usingTone = true;
+  console.warn('Alarm stream failed, playing fallback tone');
+  loadStation(ALARM_TONE_URL, 'Alarm', { loop: true });
+  setNowPlayingText('Alarm');
+  document.getElementById('play-pause-btn').disabled = false;
+}
+
+function stopAlarm() {
+  cancelReconnect();
+  if (activeAlarm && audio) {
+    audio.pause();
+    syncPlaybackUI();
+  }
+  endAlarm();
+}
+
+// An alarm lasts until it's stopped, paused, or replaced by something the
+// listener picked; until then a failing stream still falls back to the tone
+function endAlarm() {
+  if (alarmRampInterval) {
+    clearInterval(alarmRampInterval);
+    alarmRampInterval = null;
+  }
+  setVolumeFactor('alarm', null);
+  activeAlarm = null;
+}
+
+// Whether a load is the ringing alarm's own: its station or bulletin, or the tone
+function isAlarmLoad(options) {
+  if (!activeAlarm) return false;
+  const target = activeAlarm.alarm.target;
+  if (options.loop) return true;
+  if (target.kind === 'bulletin') return !!(options.bulletin && options.bulletin.providerId === target.id);
+  return options.stationId === target.id;
+}
+
+function renderAlarmList() {
+  const list = document.getElementById('alarm-list');
+  if (!list) return;
+  list.replaceChildren(...alarms.map((alarm) => {
+    const item = document.createElement('li');
+    item.className = 'alarm-item';
+    item.classList.toggle('disabled', !alarm.enabled);
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = alarm.enabled;
+    toggle.title = 'Enable alarm';
+    toggle.addEventListener('change', () => {
+      alarm.enabled = toggle.checked;
+      saveAlarms();
+      renderAlarmList();
+      updateAlarmIndicator();
+    });
+
+    const text = document.createElement('span');
+    text.className = 'alarm-text';
+    text.textContent = `${alarm.time} · ${describeAlarmDays(alarm.days)} · ${describeAlarmTarget(alarm.target)}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'alarm-remove';
+    remove.title = 'Delete alarm';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => {
+      alarms = alarms.filter(a => a !== alarm);
+      saveAlarms();
+      renderAlarmList();
+      updateAlarmIndicator();
+    });
+
+    item.append(toggle, text, remove);
+    return item;
+  }));
+}
+
+// Fill the target picker with stations and "latest bulletin" options
+function renderAlarmTargets(select) {
+  const previous = select.value;
+  select.replaceChildren();
+
+  const bulletinGroup = document.createElement('optgroup');
+  bulletinGroup.label = 'News';
+  bulletinProviders.forEach((provider) => {
+    const option = document.createElement('option');
+    option.value = `bulletin:${provider.id}`;
+    option.textContent = `Latest ${getBulletinProviderName(provider)} bulletin`;
+    bulletinGroup.appendChild(option);
+  });
+
+  const stationGroup = document.createElement('optgroup');
+  stationGroup.label = 'Stations';
+  [...stationCatalog, ...customStations].forEach((station) => {
+    const option = document.createElement('option');
+    option.value = `station:${station.id}`;
+    option.textContent = station.name;
+    stationGroup.appendChild(option);
+  });
+
+  select.append(bulletinGroup, stationGroup);
+  if (previous) select.value = previous;
+}
+
+function setupAlarms() {
+  const alarmBtn = document.getElementById('alarm-btn');
+  const panel = document.getElementById('alarm-panel');
+  const form = document.getElementById('alarm-form');
+  const timeInput = document.getElementById('alarm-time');
+  const targetSelect = document.getElementById('alarm-target');
+  const dayButtons = panel ? Array.from(panel.querySelectorAll('.alarm-day')) : [];
+  if (!alarmBtn || !panel || !form) return;
+
+  loadAlarms();
+  renderAlarmList();
+
+  alarmBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    alarmBtn.classList.toggle('active', !panel.hidden);
+    if (!panel.hidden) renderAlarmTargets(targetSelect);
+  });
+
+  dayButtons.forEach((dayBtn) => {
+    dayBtn.addEventListener('click', () => {
+      dayBtn.classList.toggle('selected');
+    });
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!/^\d{2}:\d{2}$/.test(timeInput.value) || !targetSelect.value) {
+      timeInput.focus();
+      return;
+    }
+    const [kind, id] = targetSelect.value.split(/:(.+)/);
+    alarms.push({
+      id: `alarm-${Date.now().toString(36)}`,
+      time: timeInput.value,
+      days: dayButtons.filter(btn => btn.classList.contains('selected')).map(btn => parseInt(btn.dataset.day, 10)),
+      target: { kind, id },
+      enabled: true
+    });
+    saveAlarms();
+    renderAlarmList();
+    updateAlarmIndicator();
+
+    const next = getNextAlarm();
+    if (next) {
+      const hours = Math.floor(next.minutes / 60);
+      showToast({
+        title: 'Alarm Set',
+        message: `Next alarm in ${hours > 0 ? `${hours}h ` : ''}${next.minutes % 60}m. Keep RadioLive open for it to ring.`,
+        type: 'success',
+        duration: 5000,
+        icon: '⏰'
+      });
+    }
+  });
+
+  updateAlarmIndicator();
+  if (alarmCheckInterval) clearInterval(alarmCheckInterval);
+  alarmCheckInterval = setInterval(checkAlarms, 15000);
+}
+
+// Reminders are checked against NZ time like alarms. The app has to be open
+// (a background tab will do) for them to fire.
+function loadReminders() {
+  try {
+    reminders = JSON.parse(localStorage.getItem(REMINDERS_KEY) || '[]');
+  } catch (e) {
+    reminders = [];
+  }
+  if (!Array.isArray(reminders)) reminders = [];
+  return reminders;
+}
+
+function saveReminders() {
+  try {
+    localStorage.setItem(REMINDERS_KEY, JSON.stringify(reminders));
+  } catch (e) {
+    console.warn('Failed to save reminders:', e);
+  }
+}
+
+function describeReminder(reminder) {
+  const station = stationsById.get(reminder.stationId);
+  const when = `${reminder.repeat ? 'Every ' : ''}${WEEKDAY_NAMES[reminder.day]} ${reminder.time}`;
+  return `${reminder.name} · ${station ? station.name : 'Unknown station'} · ${when}`;
+}
+
+// Minutes from NZ time `now` until the reminder is next due
+function getMinutesUntilReminder(reminder, now) {
+  if (!reminder.enabled) return null;
+  const { hours, minutes } = parseAlarmTime(reminder.time);
+  const daysAhead = (reminder.day - now.getDay() + 7) % 7;
+  const until = daysAhead * 1440 + hours * 60 + minutes - (now.getHours() * 60 + now.getMinutes());
+  return until > 0 ? until : until + 7 * 1440;
+}
+
+function checkReminders() {
+  const now = getNZDTTime();
+  const stamp = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()} ${now.getHours()}:${now.getMinutes()}`;
+
+  reminders.forEach((reminder) => {
+    if (!reminder.enabled || lastReminderFired[reminder.id] === stamp) return;
+    const { hours, minutes } = parseAlarmTime(reminder.time);
+    if (now.getDay() !== reminder.day || now.getHours() !== hours || now.getMinutes() !== minutes) return;
+
+    lastReminderFired[reminder.id] = stamp;
+    if (!reminder.repeat) {
+      reminder.enabled = false;
+      saveReminders();
+      renderReminderList();
+    }
+    triggerReminder(reminder);
+  });
+}
+
+// While the app is in view, a toast with a "Listen now" action does the job.
+// Otherwise the reminder goes to sw.js for a system notification with the same
+// action, falling back to the toast without notification permission (or a
+// service worker). Never both.
+async function triggerReminder(reminder) {
+  const station = stationsById.get(reminder.stationId);
+  const stationName = station ? station.name : 'Unknown station';
+  console.log('Reminder due:', describeReminder(reminder));
+
+  if (document.hidden && 'Notification' in window && Notification.permission === 'granted' && 'serviceWorker' in navigator) {
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration && registration.active) {
+        registration.active.postMessage({
+          type: 'show-reminder',
+          reminder: { id: reminder.id, name: reminder.name, stationId: reminder.stationId, stationName, time: reminder.time }
+        });
+        return;
+      }
+    } catch (error) {
+      console.warn('Failed to show reminder notification:', error);
+    }
+  }
+
+  showToast({
+    title: reminder.name,
+    message: `Starting now on ${escapeHtml(stationName)}.`,
+    type: 'info',
+    duration: 0,
+    icon: '🔔',
+    action: station ? { text: 'Listen now', callback: () => playStation(station) } : undefined
+  });
+}
+
+// "Listen now" from a reminder notification: sw.js either messages an open
+// window or opens the app with ?play=<station id>
+function playRemindedStation(stationId) {
+  const station = stationsById.get(stationId);
+  if (!station) return;
+  playStation(station, { fromReminder: true });
+}
+
+function playStationFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const stationId = params.get('play');
+  if (!stationId) return;
+  params.delete('play');
+  const query = params.toString();
+  history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  playRemindedStation(stationId);
+}
+
+function renderReminderList() {
+  const list = document.getElementById('reminder-list');
+  if (!list) return;
+  list.replaceChildren(...reminders.map((reminder) => {
+    const item = document.createElement('li');
+    item.className = 'alarm-item';
+    item.classList.toggle('disabled', !reminder.enabled);
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = reminder.enabled;
+    toggle.title = 'Enable reminder';
+    toggle.addEventListener('change', () => {
+      reminder.enabled = toggle.checked;
+      saveReminders();
+      renderReminderList();
+    });
+
+    const text = document.createElement('span');
+    text.className = 'alarm-text';
+    text.textContent = describeReminder(reminder);
+
+    const remove = document.createElement('button');
+    remove.className = 'alarm-remove';
+    remove.title = 'Delete reminder';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => {
+      reminders = reminders.filter(r => r !== reminder);
+      saveReminders();
+      renderReminderList();
+    });
+
+    item.append(toggle, text, remove);
+    return item;
+  }));
+}
+
+function renderReminderStations(select) {
+  const previous = select.value;
+  select.replaceChildren(...[...stationCatalog, ...customStations].map((station) => {
+    const option = document.createElement('option');
+    option.value = station.id;
+    option.textContent = station.name;
+    return option;
+  }));
+  if (previous) select.value = previous;
+}
+
+// Open the reminder form, optionally filled in (e.g. from the programme guide)
+let openReminderForm = null;
+
+function setupReminders() {
+  const reminderBtn = document.getElementById('reminder-btn');
+  const panel = document.getElementById('reminder-panel');
+  const form = document.getElementById('reminder-form');
+  const nameInput = document.getElementById('reminder-name');
+  const stationSelect = document.getElementById('reminder-station');
+  const daySelect = document.getElementById('reminder-day');
+  const timeInput = document.getElementById('reminder-time');
+  const repeatInput = document.getElementById('reminder-repeat');
+  if (!reminderBtn || !panel || !form) return;
+
+  loadReminders();
+  renderReminderList();
+
+  // Monday first, like the alarm days
+  daySelect.replaceChildren(...[1, 2, 3, 4, 5, 6, 0].map((day) => {
+    const option = document.createElement('option');
+    option.value = String(day);
+    option.textContent = WEEKDAY_NAMES[day];
+    return option;
+  }));
+  daySelect.value = String(getNZDTTime().getDay());
+
+  function showPanel(show) {
+    panel.hidden = !show;
+    reminderBtn.classList.toggle('active', show);
+    if (show) renderReminderStations(stationSelect);
+  }
+
+  reminderBtn.addEventListener('click', () => showPanel(panel.hidden));
+
+  openReminderForm = ({ name, stationId, day, time, repeat }) => {
+    showPanel(true);
+    nameInput.value = name || '';
+    if (stationId) stationSelect.value = stationId;
+    if (day !== undefined) daySelect.value = String(day);
+    if (time) timeInput.value = time;
+    repeatInput.checked = repeat !== false;
+    nameInput.focus();
+  };
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!nameInput.value.trim()) {
+      nameInput.focus();
+      return;
+    }
+    if (!/^\d{2}:\d{2}$/.test(timeInput.value) || !stationSelect.value) {
+      timeInput.focus();
+      return;
+    }
+    const reminder = {
+      id: `reminder-${Date.now().toString(36)}`,
+      name: nameInput.value.trim(),
+      stationId: stationSelect.value,
+      day: parseInt(daySelect.value, 10),
+      time: timeInput.value,
+      repeat: repeatInput.checked,
+      enabled: true
+    };
+    reminders.push(reminder);
+    saveReminders();
+    renderReminderList();
+    nameInput.value = '';
+
+    // Ask while we still have the tap that added the reminder
+    let permission = 'Notification' in window ? Notification.permission : 'denied';
+    if (permission === 'default') {
+      try {
+        permission = await Notification.requestPermission();
+      } catch (error) {
+        console.warn('Notification permission request failed:', error);
+      }
+    }
+
+    const minutes = getMinutesUntilReminder(reminder, getNZDTTime());
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    showToast({
+      title: 'Reminder Set',
+      message: `${escapeHtml(reminder.name)} in ${days > 0 ? `${days}d ` : ''}${hours > 0 ? `${hours}h ` : ''}${minutes % 60}m. ` +
+        (permission === 'granted'
+          ? 'It only goes off while RadioLive is open, but a background tab is fine.'
+          : 'Notifications are off, so it will only show while RadioLive is in view.'),
+      type: 'success',
+      duration: 5000,
+      icon: '🔔'
+    });
+  });
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'play-station') playRemindedStation(event.data.stationId);
+    });
+  }
+
+  if (reminderCheckInterval) clearInterval(reminderCheckInterval);
+  reminderCheckInterval = setInterval(checkReminders, 15000);
+}
+
+// Sleep timer. It lives outside loadStation so it survives station switches:
+// each tick works on whichever audio element is current.
+function startSleepTimer(minutes) {
+  sleepTimer = { endsAt: Date.now() + minutes * 60 * 1000 };
+  startSleepTimerTicks();
+}
+
+function startSleepTimerAtBulletinEnd() {
+  sleepTimer = { mode: 'bulletin' };
+  startSleepTimerTicks();
+}
+
+function startSleepTimerTicks() {
+  if (sleepTimerInterval) clearInterval(sleepTimerInterval);
+  sleepTimerInterval = setInterval(tickSleepTimer, 1000);
+  tickSleepTimer();
+}
+
+function cancelSleepTimer() {
+  sleepTimer = null;
+  if (sleepTimerInterval) {
+    clearInterval(sleepTimerInterval);
+    sleepTimerInterval = null;
+  }
+  setVolumeFactor('sleep', null);
+  updateSleepTimerButton(null);
+}
+
+// Seconds left before the timer stops playback, or null if unknown
+// (end-of-bulletin mode on a live stream)
+function getSleepTimerRemaining() {
+  if (!sleepTimer) return null;
+  if (sleepTimer.mode === 'bulletin') {
+    if (!audio || !currentStation || !currentStation.isBulletin || !isFinite(audio.duration)) return null;
+    return Math.max(0, (audio.duration - audio.currentTime) / (audio.playbackRate || 1));
+  }
+  return Math.max(0, (sleepTimer.endsAt - Date.now()) / 1000);
+}
+
+function tickSleepTimer() {
+  if (!sleepTimer) return;
+  const remaining = getSleepTimerRemaining();
+  updateSleepTimerButton(remaining);
+  if (remaining === null) {
+    setVolumeFactor('sleep', null);
+    return;
+  }
+
+  // Fade out over the final minute
+  setVolumeFactor('sleep', remaining < SLEEP_FADE_SECONDS ? remaining / SLEEP_FADE_SECONDS : null);
+
+  if (remaining <= 0 && sleepTimer.mode !== 'bulletin') {
+    finishSleepTimer();
+  }
+}
+
+function finishSleepTimer() {
+  if (audio && !audio.paused) {
+    audio.pause();
+  }
+  cancelSleepTimer();
+  syncPlaybackUI();
+  showToast({
+    title: 'Sleep Timer',
+    message: 'Playback stopped. Good night!',
+    type: 'info',
+    duration: 4000,
+    icon: '🌙'
+  });
+}
+
+function updateSleepTimerButton(remaining) {
+  const sleepBtn = document.getElementById('sleep-timer-btn');
+  const label = document.getElementById('sleep-timer-remaining');
+  if (!sleepBtn || !label) return;
+  sleepBtn.classList.toggle('active', !!sleepTimer);
+  if (!sleepTimer) {
+    label.textContent = '';
+  } else if (remaining === null) {
+    label.textContent = 'end';
+  } else if (remaining >= 60) {
+    label.textContent = `${Math.ceil(remaining / 60)}m`;
+  } else {
+    label.textContent = `${Math.ceil(remaining)}s`;
+  }
+}
+
+function setupSleepTimer() {
+  const sleepBtn = document.getElementById('sleep-timer-btn');
+  const menu = document.getElementById('sleep-menu');
+  const customInput = document.getElementById('sleep-custom-minutes');
+  const customBtn = document.getElementById('sleep-custom-set');
+  if (!sleepBtn || !menu) return;
+
+  const bulletinOption = menu.querySelector('[data-sleep="bulletin"]');
+  const offOption = menu.querySelector('[data-sleep="off"]');
+
+  function closeMenu() {
+    menu.hidden = true;
+  }
+
+  sleepBtn.addEventListener('click', () => {
+    menu.hidden = !menu.hidden;
+    if (!menu.hidden) {
+      if (bulletinOption) bulletinOption.disabled = !(currentStation && currentStation.isBulletin);
+      if (offOption) offOption.disabled = !sleepTimer;
+    }
+  });
+
+  menu.querySelectorAll('[data-sleep]').forEach((option) => {
+    option.addEventListener('click', () => {
+      const value = option.dataset.sleep;
+      if (value === 'off') {
+        cancelSleepTimer();
+      } else if (value === 'bulletin') {
+        startSleepTimerAtBulletinEnd();
+      } else {
+        startSleepTimer(parseInt(value, 10));
+      }
+      closeMenu();
+    });
+  });
+
+  if (customBtn && customInput) {
+    customBtn.addEventListener('click', () => {
+      const minutes = parseInt(customInput.value, 10);
+      if (!minutes || minutes < 1 || minutes > 720) {
+        customInput.focus();
+        return;
+      }
+      startSleepTimer(minutes);
+      closeMenu();
+    });
+  }
+}
+
+// Show/hide loading bar
+function showLoading(label) {
+  const loadingBar = document.getElementById('loading-bar');
+  if (loadingBar) {
+    loadingBar.style.display = 'block';
+  }
+  const loadingLabel = document.getElementById('loading-label');
+  if (loadingLabel) {
+    loadingLabel.textContent = label || '';
+  }
+  // One pip per reconnect attempt, filled as they're used
+  if (loadingBar) loadingBar.classList.toggle('reconnecting', reconnectAttempts > 0);
+  const attempts = document.getElementById('loading-attempts');
+  if (attempts) {
+    attempts.hidden = reconnectAttempts === 0;
+    attempts.replaceChildren(...Array.from({ length: reconnectAttempts > 0 ? RECONNECT_MAX_ATTEMPTS : 0 }, (_, i) => {
+      const pip = document.createElement('span');
+      pip.className = 'loading-attempt';
+      pip.classList.toggle('used', i < reconnectAttempts);
+      return pip;
+    }));
+  }
+}
+
+function hideLoading() {
+  const loadingBar = document.getElementById('loading-bar');
+  if (loadingBar) {
+    loadingBar.style.display = 'none';
+  }
+}
+
+function clearStallTimer() {
+  if (stallTimer) {
+    clearTimeout(stallTimer);
+    stallTimer = null;
+  }
+}
+
+function cancelReconnect() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  clearStallTimer();
+}
+
+// Schedule the next reconnect attempt for the live station. `recover` does the
+// actual work (a full reload by default, or an in-place HLS.js recovery).
+// Returns false once attempts are exhausted so the caller can report the error.
+function scheduleReconnect(reason, recover) {
+  if (reconnectTimer) return true;
+  if (reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) return false;
+
+  reconnectAttempts++;
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (reconnectAttempts - 1), RECONNECT_MAX_DELAY_MS);
+  debug(`Reconnecting (${reason}), attempt ${reconnectAttempts}/${RECONNECT_MAX_ATTEMPTS} in ${delay}ms`);
+  showLoading(`Reconnecting… ${reconnectAttempts}/${RECONNECT_MAX_ATTEMPTS}`);
+  clearStallTimer();
+
+  const station = currentStation;
+  const run = () => {
+    reconnectTimer = null;
+    // Gave up on this station in the meantime (switched or paused)
+    if (currentStation !== station || !audio) return;
+    if (recover) {
+      recover();
+    } else {
+      // Start again from the station's preferred source
+      const sources = station.options.sources;
+      const retryUrl = sources ? sources[0].url : station.url;
+      loadStation(retryUrl, station.name, { ...station.options, sourceIndex: 0, reconnecting: true });
+    }
+  };
+
+  // No point burning attempts while the device is offline; go as soon as it's back
+  if (!navigator.onLine) {
+    const onOnline = () => {
+      window.removeEventListener('online', onOnline);
+      if (reconnectTimer === 'offline') run();
+    };
+    reconnectTimer = 'offline';
+    window.addEventListener('online', onOnline);
+    return true;
+  }
+
+  reconnectTimer = setTimeout(run, delay);
+  return true;
+}
+
+// Load and play station
+function loadStation(url, name, options) {
+  options = options || {};
+  // Bulletins and recordings are files; anything else the caller loads (a
+  // catalog or custom station) is a live stream, whatever its name or URL
+  const isBulletin = !!(options.bulletin || options.recording);
+  const isLive = !isBulletin && !options.loop;
+
+  if (activeAlarm && !options.reconnecting && !isAlarmLoad(options)) endAlarm();
+
+  // A recording belongs to the station it started on. One taken from the audio
+  // element can't follow it onto a new element, so even a reconnect ends it.
+  if (activeRecording && (!options.reconnecting || activeRecording.fromElement)) {
+    stopRecording();
+  }
+
+  // A fresh load (not one of our own reconnects) starts the attempt count over
+  if (reconnectTimer && reconnectTimer !== 'offline') clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  clearStallTimer();
+  if (!options.reconnecting) {
+    reconnectAttempts = 0;
+    clearInBandMetadata();
+  } else {
+    // Media time starts again on the new element
+    stopIcyMetadata();
+    inBandMetadataTimeline = [];
+  }
+
+  // Show loading bar
+  if (!options.reconnecting) showLoading();
+
+  // Clean up old audio and its event listeners
+  if (audio) {
+    savePlaybackPosition();
+    // Remove all stored event listeners first: pausing the old element isn't
+    // the listener pausing (and mustn't end a ringing alarm)
+    currentAudioListeners.forEach(({ event, handler }) => {
+      audio.removeEventListener(event, handler);
+    });
+    currentAudioListeners = [];
+    audio.pause();
+    if (audio._hlsInstance) {
+      audio._hlsInstance.destroy();
+      audio._hlsInstance = null;
+    }
+    if (audio._timeShiftFeed) {
+      audio._timeShiftFeed.stop();
+      audio._timeShiftFeed = null;
+    }
+    if (audio._objectUrl) {
+      URL.revokeObjectURL(audio._objectUrl);
+      audio._objectUrl = null;
+    }
+    if (audio._processing) {
+      audio._processing.source.disconnect();
+      audio._processing.output.disconnect();
+      audio._processing = null;
+    }
+    if (audio.parentNode) {
+      audio.remove(); // The video view's <video>
+    }
+    audio.src = '';
+    audio = null;
+  }
+
+  // Live stations get a rewind buffer where the stream allows it
+  const timeShiftSeconds = isLive ? getTimeShiftSeconds() : 0;
+  const source = (options.sources || [])[options.sourceIndex || 0];
+  const timeShiftMimeType = timeShiftSeconds > 0 && !isHlsUrl(url) && !timeShiftUnsupportedUrls.has(url) && source
+    ? getIcecastMimeType(source.format)
+    : null;
+
+  // Use an Audio element by default — for HLS streams (e.g. TVNZ 1), use HLS.js
+  // so the browser plays audio-only and continues in the background on mobile.
+  // TV channels switch to a <video> element only when the video view is on;
+  // `audio` then holds that element, since everything else works the same.
+  const showVideo = !!(options.isVideo && options.showVideo);
+  const processingKey = getProcessingKey(options);
+  const processAudio = !!processingKey && canProcessAudio(url) && (
+    !isNeutralProcessing(getAudioProcessing(processingKey)) ||
+    (isBulletin && getSetting('skipSilences', false)) ||
+    getSetting('visualiser', 'off') !== 'off');
+  audio = showVideo ? createVideoElement() : new Audio();
+  if (isHlsUrl(url) && typeof Hls !== 'undefined' && Hls.isSupported()) {
+    // Chrome, Firefox, Edge — use HLS.js with lowest quality, or adaptive
+    // quality (user-selectable) when showing video
+    const hlsConfig = { startLevel: showVideo ? -1 : 0 };
+    if (timeShiftSeconds > 0) {
+      // Keep played segments (and keep loading while paused) for time-shift
+      Object.assign(hlsConfig, {
+        backBufferLength: timeShiftSeconds,
+        maxBufferLength: timeShiftSeconds,
+        maxMaxBufferLength: timeShiftSeconds,
+        liveDurationInfinity: false
+      });
+      audio._timeShift = true;
+    }
+    const hls = new Hls(hlsConfig);
+    hls.loadSource(url);
+    hls.attachMedia(audio);
+    hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      if (showVideo) {
+        renderVideoQualityOptions(hls);
+      } else {
+        hls.currentLevel = 0;
+      }
+    });
+    // Timed ID3 metadata, applied when playback reaches each sample
+    hls.on(Hls.Events.FRAG_PARSING_METADATA, (event, data) => {
+      if (!isLive || !data.samples) return;
+      data.samples.forEach((sample) => {
+        const info = id3FramesToTrackInfo(parseId3Frames(sample.data));
+        if (!info) return;
+        const frag = data.frag;
+        info.at = frag && frag.programDateTime
+          ? frag.programDateTime + (sample.pts - frag.start) * 1000
+          : Date.now();
+        scheduleInBandMetadata('id3', info, sample.pts);
+      });
+    });
+    // HLS.js retries stalls and failed fragment/playlist loads itself. If the
+    // same trouble keeps coming back on a live stream, nudge it with
+    // startLoad/recoverMediaError, then hand over to the backoff reconnect.
+    let nonFatalErrors = 0;
+    let nonFatalRecoveries = 0;
+    hls.on(Hls.Events.FRAG_BUFFERED, () => {
+      nonFatalErrors = 0;
+      nonFatalRecoveries = 0;
+    });
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) {
+        const stalled = data.details === Hls.ErrorDetails.BUFFER_STALLED_ERROR;
+        const loadFailed = [
+          Hls.ErrorDetails.FRAG_LOAD_ERROR,
+          Hls.ErrorDetails.FRAG_LOAD_TIMEOUT,
+          Hls.ErrorDetails.LEVEL_LOAD_ERROR,
+          Hls.ErrorDetails.LEVEL_LOAD_TIMEOUT
+        ].includes(data.details);
+        if (!isLive || (!stalled && !loadFailed) || ++nonFatalErrors < HLS_NONFATAL_REPEATS) return;
+        nonFatalErrors = 0;
+        if (nonFatalRecoveries++ < HLS_NONFATAL_REPEATS) {
+          debug(`Recovering from repeated ${data.details}`);
+          if (stalled) {
+            hls.recoverMediaError();
+          } else {
+            hls.startLoad();
+          }
+          return;
+        }
+        if (!scheduleReconnect(`hls ${data.details}`)) audio.dispatchEvent(new Event('error'));
+        return;
+      }
+      // Live streams try HLS.js's own recovery before tearing the player down
+      if (isLive && data.type === Hls.ErrorTypes.NETWORK_ERROR &&
+          scheduleReconnect('hls network error', () => hls.startLoad())) {
+        return;
+      }
+      if (isLive && data.type === Hls.ErrorTypes.MEDIA_ERROR &&
+          scheduleReconnect('hls media error', () => hls.recoverMediaError())) {
+        return;
+      }
+      audio.dispatchEvent(new Event('error'));
+    });
+    audio._hlsInstance = hls;
+  } else if (timeShiftMimeType) {
+    // Icecast through MediaSource for time-shift; plain playback if that's refused
+    const mediaElement = audio;
+    audio._timeShift = true;
+    audio._timeShiftFeed = startIcecastTimeShift(audio, url, timeShiftMimeType, timeShiftSeconds, {
+      onUnsupported: (error) => {
+        if (audio !== mediaElement) return;
+        debug('Time-shift unavailable, playing directly:', error.message);
+        timeShiftUnsupportedUrls.add(url);
+        mediaElement._timeShiftFeed.stop();
+        mediaElement._timeShiftFeed = null;
+        mediaElement._timeShift = false;
+        if (mediaElement._processing) mediaElement.crossOrigin = 'anonymous';
+        mediaElement.src = url;
+      }
+    });
+  } else {
+    // Safari/iOS native HLS, or regular stream URLs. Web Audio only hears
+    // them if they're fetched with CORS.
+    if (processAudio) audio.crossOrigin = 'anonymous';
+    audio.src = url;
+    if (isLive && isHlsUrl(url) && audio.textTracks) {
+      // Native HLS exposes ID3 frames as cues on a metadata text track
+      const mediaElement = audio;
+      audio.textTracks.addEventListener('addtrack', (e) => {
+        const track = e.track;
+        if (track.kind !== 'metadata') return;
+        track.mode = 'hidden';
+        track.addEventListener('cuechange', () => {
+          if (audio !== mediaElement || !track.activeCues) return;
+          const frames = {};
+          Array.from(track.activeCues).forEach((cue) => {
+            if (cue.value && cue.value.key && typeof cue.value.data === 'string') {
+              frames[cue.value.key] = cue.value.data;
+            }
+          });
+          const info = id3FramesToTrackInfo(frames);
+          if (info) applyInBandMetadata('id3', { ...info, at: Date.now() });
+        });
+      });
+    }
+  }
+  if (processAudio) audio._processing = connectAudioProcessing(audio);
+  applyOutputVolume();
+  // Apply current playback speed to new audio
+  setPlaybackRate(audio, currentSpeed || 1);
+  audio.loop = !!options.loop;
+
+  // Auto-play when loaded
+  const canplayHandler = () => {
+    hideLoading();
+    const playPromise = audio.play();
+    // Autoplay can be blocked when an alarm or a reminder's "Listen now"
+    // starts playback without a recent tap
+    if (playPromise && (activeAlarm || options.fromReminder)) {
+      const fromAlarm = !!activeAlarm;
+      playPromise.catch((error) => {
+        if (error.name !== 'NotAllowedError') return;
+        showToast({
+          title: fromAlarm ? 'Alarm' : 'Reminder',
+          message: fromAlarm ? 'Your browser blocked the alarm from starting.' : `Your browser blocked ${escapeHtml(name)} from starting.`,
+          type: 'warning',
+          duration: 0,
+          icon: fromAlarm ? '⏰' : '🔔',
+          action: {
+            text: 'Start',
+            callback: () => {
+              if (audio) audio.play().then(syncPlaybackUI);
+            }
+          }
+        });
+      });
+    }
+    syncPlaybackUI();
+  };
+  audio.addEventListener('canplay', canplayHandler);
+  currentAudioListeners.push({ event: 'canplay', handler: canplayHandler });
+
+  // Once media has arrived, CORS evidently isn't the problem: later errors are
+  // drops, for the reconnect path below
+  let mediaLoaded = false;
+  const loadedDataHandler = () => { mediaLoaded = true; };
+  audio.addEventListener('loadeddata', loadedDataHandler);
+  currentAudioListeners.push({ event: 'loadeddata', handler: loadedDataHandler });
+
+  // Handle errors
+  const errorHandler = (e) => {
+    hideLoading();
+    console.error('Audio error:', e);
+
+    // A stream that refuses CORS can't go through the sound settings; play it without them
+    if (audio.crossOrigin && !mediaLoaded && !webAudioBlockedUrls.has(url)) {
+      webAudioBlockedUrls.add(url);
+      loadStation(url, name, { ...options, reconnecting: true, processingRefused: true });
+      return;
+    }
+
+    // Fail over to the station's next source before backing off
+    const sources = options.sources || [];
+    const sourceIndex = options.sourceIndex || 0;
+    if (sourceIndex + 1 < sources.length) {
+      const next = sources[sourceIndex + 1];
+      debug(`Source ${url} failed, trying ${next.url}`);
+      showLoading(`Trying ${describeStreamSource(next)}…`);
+      loadStation(next.url, name, { ...options, sourceIndex: sourceIndex + 1, reconnecting: true });
+      return;
+    }
+
+    // A queued bulletin that isn't there is skipped, not reported
+    if (options.queued) {
+      skipQueueItem();
+      return;
+    }
+
+    // A ringing alarm falls back to the bundled tone rather than staying silent
+    if (activeAlarm && !activeAlarm.usingTone) {
+      playAlarmTone();
+      return;
+    }
+
+    // Live streams retry quietly; only report once the attempts run out
+    if (isLive && scheduleReconnect('stream error')) {
+      return;
+    }
+    reconnectAttempts = 0;
+
+    stopMetadataPolling();
+    stopIcyMetadata();
+    setNowPlayingText(`Error loading ${name}`);
+
+    // Show toast notification with retry option
+    showToast({
+      title: 'Stream Error',
+      message: `Unable to connect to ${name}. Please try again.`,
+      type: 'error',
+      duration: 6000,
+      action: {
+        text: 'Retry',
+        callback: () => loadStation(sources.length ? sources[0].url : url, name, { ...options, sourceIndex: 0, reconnecting: false })
+      }
+    });
+
+    // A failed element can still report itself as playing
+    audio.pause();
+    syncPlaybackUI();
+  };
+  audio.addEventListener('error', errorHandler);
+  currentAudioListeners.push({ event: 'error', handler: errorHandler });
+
+  // Show loading state while waiting. A live stream that stays stuck here has
+  // usually dropped without raising an error.
+  const waitingHandler = () => {
+    showLoading(reconnectAttempts > 0 ? `Reconnecting… ${reconnectAttempts}/${RECONNECT_MAX_ATTEMPTS}` : '');
+    if (isLive && !stallTimer) {
+      stallTimer = setTimeout(() => {
+        stallTimer = null;
+        if (audio && !audio.paused && !scheduleReconnect('stalled')) {
+          audio.dispatchEvent(new Event('error'));
+        }
+      }, STALL_TIMEOUT_MS);
+    }
+  };
+  audio.addEventListener('waiting', waitingHandler);
+  currentAudioListeners.push({ event: 'waiting', handler: waitingHandler });
+
+  // Hide loading when playing
+  const playingHandler = () => {
+    mediaLoaded = true;
+    hideLoading();
+    clearStallTimer();
+    if (reconnectAttempts > 0) {
+      debug(`Reconnected after ${reconnectAttempts} attempt(s)`);
+      reconnectAttempts = 0;
+    }
+    if (options.stationId && options.sources && options.sources.length > 1) {
+      rememberStreamSource(options.stationId, url);
+    }
+    if (audio._processing) {
+      getAudioContext(); // An alarm may have started it without a tap
+    } else if (options.processingRefused) {
+      delete options.processingRefused;
+      showToast({
+        message: `Sound settings and the visualiser aren't available for ${escapeHtml(name)}, so it's playing without them.`,
+        type: 'warning',
+        duration: 4000
+      });
+    }
+    if (isLive && !isHlsUrl(url) && !icyMetadataController && !icyMetadataTimer) {
+      startIcyMetadata(url);
+    }
+    syncPlaybackUI();
+    updateVisualiser();
+  };
+  audio.addEventListener('playing', playingHandler);
+  currentAudioListeners.push({ event: 'playing', handler: playingHandler });
+
+  // Pausing (button, media keys, sleep timer) means the listener has stopped
+  // on purpose, so drop any pending reconnect and remember the position
+  const pauseHandler = () => {
+    if (activeAlarm) endAlarm();
+    syncPlaybackUI();
+    savePlaybackPosition();
+    updateVisualiser();
+    stopIcyMetadata();
+    if (reconnectTimer || stallTimer) {
+      cancelReconnect();
+      hideLoading();
+    }
+  };
+  audio.addEventListener('pause', pauseHandler);
+  currentAudioListeners.push({ event: 'pause', handler: pauseHandler });
+
+  // Handle audio end (for bulletins)
+  const endedHandler = () => {
+    syncPlaybackUI();
+    savePlaybackPosition(); // At the end, so this forgets it
+    updateVisualiser();
+
+    if (sleepTimer && sleepTimer.mode === 'bulletin') {
+      finishSleepTimer();
+    } else if (options.queued) {
+      finishQueueItem();
+    }
+  };
+  audio.addEventListener('ended', endedHandler);
+  currentAudioListeners.push({ event: 'ended', handler: endedHandler });
+
+  currentStation = {
+    url,
+    name,
+    stationId: options.stationId || null,
+    isBulletin,
+    isLive,
+    isVideo: !!options.isVideo,
+    resumeKey: options.resumeKey || (options.bulletin ? url : null),
+    processingKey,
+    options
+  };
+  applyAudioProcessing();
+  if (refreshSoundPanel) refreshSoundPanel();
+  if (!options.reconnecting) timeSaved = { seconds: 0, mediaTime: 0, wallTime: null };
+  timeSaved.wallTime = null;
+  updateSilenceSkipping();
+  updateVisualiser();
+  updateProgrammeInfo();
+  hideResumePrompt();
+  updateStreamSourceIndicator();
+  updateVideoView();
+  updateOfflineUI();
+  if (renderBulletinQueue) renderBulletinQueue();
+  if (updateBulletinControlsState) {
+    updateBulletinControlsState();
+  }
+
+  // Pick up where the listener left off, once the duration is known
+  let resumeChecked = false;
+  const restorePosition = () => {
+    if (resumeChecked || !currentStation.resumeKey) return;
+    resumeChecked = true;
+    offerResume(currentStation.resumeKey);
+  };
+
+  // Update bulletin controls visibility on metadata/time changes
+  const metadataHandler = () => {
+    // MediaRecorder files carry no duration; seeking past the end makes the
+    // browser work it out, then durationchange brings us back to the start
+    if (options.recording && audio.duration === Infinity) {
+      const mediaElement = audio;
+      mediaElement.addEventListener('durationchange', () => {
+        mediaElement.currentTime = 0;
+        restorePosition();
+      }, { once: true });
+      mediaElement.currentTime = 1e101;
+      return;
+    }
+    if (isFinite(audio.duration)) restorePosition();
+    if (updateBulletinControlsState) {
+      updateBulletinControlsState();
+    }
+  };
+  audio.addEventListener('loadedmetadata', metadataHandler);
+  currentAudioListeners.push({ event: 'loadedmetadata', handler: metadataHandler });
+
+  const durationHandler = () => {
+    if (updateBulletinControlsState) {
+      updateBulletinControlsState();
+    }
+  };
+  audio.addEventListener('durationchange', durationHandler);
+  currentAudioListeners.push({ event: 'durationchange', handler: durationHandler });
+
+  const timeUpdateHandler = () => {
+    if (syncScrubUI) {
+      syncScrubUI();
+    }
+    applyDueInBandMetadata();
+    if (Date.now() - lastPositionSave > 5000) savePlaybackPosition();
+    if (currentStation.isBulletin) {
+      trackTimeSaved();
+      updateSilenceControls();
+    }
+  };
+  audio.addEventListener('timeupdate', timeUpdateHandler);
+  currentAudioListeners.push({ event: 'timeupdate', handler: timeUpdateHandler });
+
+  // Track info belongs to the station it came from; a reconnect keeps it
+  if (!options.reconnecting) {
+    currentTrackInfo = null;
+  }
+  renderNowPlaying();
+  if (!options.reconnecting) {
+    startMetadataPolling(options.stationId ? stationsById.get(options.stationId) : null);
+  }
+}
+
+// Now-playing metadata providers. Each one knows how to fetch what's on air for
+// a station; the shared poller below handles scheduling, timeouts, backoff and
+// failure counting, and hands results to renderNowPlaying().
+const metadataProviders = new Map();
+const METADATA_FETCH_TIMEOUT_MS = 20000;
+const METADATA_MAX_BACKOFF_MS = 5 * 60 * 1000;
+const METADATA_FAILURE_TOAST_THRESHOLD = 3;
+let metadataPoller = null; // { station, provider, timer, inFlight, lastText }
+let metadataFailures = new Map(); // provider id -> consecutive failures
+
+// Register a metadata provider. `fetch(station, signal)` resolves to
+// { artist, title } or { show } or { text }, or null when nothing is on air.
+function registerMetadataProvider(def) {
+  metadataProviders.set(def.id, {
+    name: def.id,
+    pollIntervalMs: 30000,
+    ...def
+  });
+}
+
+registerMetadataProvider({
+  id: '95bfm',
+  name: '95bFM',
+  // 95bFM has no API, so scrape the track from the home page through a CORS proxy
+  fetch: async (station, signal) => {
+    const proxyUrl = 'https://api.allorigins.win/raw?url=';
+    const targetUrl = encodeURIComponent('https://95bfm.com/');
+    const response = await fetch(proxyUrl + targetUrl, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Find the track info in the views field
+    const trackElements = doc.querySelectorAll('.views-field-nothing .field-content');
+    for (let elem of trackElements) {
+      const text = elem.textContent.trim();
+      // Look for "Artist - Song" pattern, filter out noise
+      if (text.includes(' - ') &&
+          !text.includes('On now') &&
+          !text.includes('DJs') &&
+          !text.includes('Show') &&
+          text.length > 5 && // Avoid very short strings
+          text.length < 200) { // Avoid long descriptions
+        return parseTrackText(text);
+      }
+    }
+    debug('No track info found in HTML');
+    return null;
+  }
+});
+
+registerMetadataProvider({
+  id: 'iheart',
+  name: 'iHeartRadio',
+  // iHeart NZ's live-meta API, keyed by the station's iHeart id: the number in
+  // mjh.nz's radio-ih-<id> stream URLs. A 204 means nothing is tagged on air.
+  fetch: async (station, signal) => {
+    const match = station.streams.map(stream => /radio-ih-(\d+)/.exec(stream.url)).find(Boolean);
+    if (!match) throw new Error(`No iHeart station id in ${station.name}'s stream URLs`);
+    const response = await fetch(`https://nz.api.iheart.com/api/v3/live-meta/stream/${match[1]}/currentTrackMeta`, { signal });
+    if (response.status === 204) return null;
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const track = await response.json();
+    if (!track || !track.title) return null;
+    return track.artist ? { artist: track.artist, title: track.title } : { text: track.title };
+  }
+});
+
+function stopMetadataPolling() {
+  if (metadataPoller && metadataPoller.timer) {
+    clearTimeout(metadataPoller.timer);
+  }
+  metadataPoller = null;
+  const refreshBtn = document.getElementById('refresh-metadata-btn');
+  if (refreshBtn) refreshBtn.style.display = 'none';
+}
+
+// Start polling the station's metadata provider (if it has one)
+function startMetadataPolling(station) {
+  stopMetadataPolling();
+  const provider = station && station.metadata ? metadataProviders.get(station.metadata) : null;
+  if (!provider) return;
+
+  metadataPoller = { station, provider, timer: null, inFlight: false, lastText: null };
+  const refreshBtn = document.getElementById('refresh-metadata-btn');
+  if (refreshBtn) refreshBtn.style.display = 'inline-block';
+  pollMetadata(metadataPoller);
+}
+
+// Poll now rather than waiting for the next tick (refresh button)
+function refreshMetadata() {
+  if (metadataPoller) pollMetadata(metadataPoller);
+}
+
+async function pollMetadata(poller) {
+  if (poller !== metadataPoller || poller.inFlight) return;
+  clearTimeout(poller.timer);
+
+  // Titles from the stream itself win; keep ticking in case they stop
+  if (inBandMetadataSource) {
+    poller.timer = setTimeout(() => pollMetadata(poller), poller.provider.pollIntervalMs);
+    return;
+  }
+  poller.inFlight = true;
+
+  const { station, provider } = poller;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), METADATA_FETCH_TIMEOUT_MS);
+  let failures = metadataFailures.get(provider.id) || 0;
+
+  try {
+    debug(`Fetching ${provider.name} now playing...`);
+    const info = await provider.fetch(station, controller.signal);
+    // Ignore results for a station we've since switched away from
+    if (poller !== metadataPoller) return;
+
+    failures = 0;
+    const text = info ? formatTrackInfo(info) : null;
+    if (text && text !== poller.lastText) {
+      poller.lastText = text;
+      console.log(`✓ Updated ${provider.name} track:`, text);
+      updateCurrentTrack(info);
+    } else if (text) {
+      debug('Track info unchanged:', text);
+    }
+  } catch (error) {
+    if (poller !== metadataPoller) return;
+    // Less verbose error logging - timeouts are common with CORS proxies
+    if (error.name === 'AbortError') {
+      console.warn(`${provider.name} metadata fetch timed out`);
+    } else {
+      console.error(`Error fetching ${provider.name} now playing:`, error);
+    }
+    failures++;
+
+    // Show toast after 3 consecutive failures
+    if (failures === METADATA_FAILURE_TOAST_THRESHOLD) {
+      showToast({
+        title: `${provider.name} Metadata Unavailable`,
+        message: 'Unable to fetch track information. The metadata service may be down.',
+        type: 'warning',
+        duration: 8000
+      });
+    }
+  } finally {
+    clearTimeout(timeoutId);
+    poller.inFlight = false;
+    metadataFailures.set(provider.id, failures);
+  }
+
+  if (poller !== metadataPoller) return;
+  // Back off exponentially while the provider keeps failing
+  const delay = failures > 0
+    ? Math.min(provider.pollIntervalMs * 2 ** failures, METADATA_MAX_BACKOFF_MS)
+    : provider.pollIntervalMs;
+  poller.timer = setTimeout(() => pollMetadata(poller), delay);
+}
+
+// Split "Artist - Title" where the stream or site gives one string
+function parseTrackText(text) {
+  const separator = text.indexOf(' - ');
+  if (separator > 0) {
+    return {
+      artist: text.slice(0, separator).trim(),
+      title: text.slice(separator + 3).trim(),
+      text
+    };
+  }
+  return { text };
+}
+
+// In-band metadata: titles carried inside the stream. Icecast mounts interleave
+// ICY "StreamTitle" blocks with the audio when asked to, and HLS streams carry
+// timed ID3 frames. Once either arrives it takes over from the station's polled
+// metadata provider.
+const ICY_SAMPLE_BLOCKS = 4; // metadata slots to read before hanging up (a few seconds of audio)
+const ICY_SAMPLE_INTERVAL_MS = 60000;
+let icyMetadataController = null;
+let icyMetadataTimer = null;
+let icyUnsupportedUrls = new Set(); // mounts that refused or hid icy-metaint
+let inBandMetadataTimeline = []; // [{ time, source, info }] by media time, oldest first
+let appliedTimelineEntry = null;
+
+function applyInBandMetadata(source, info) {
+  if (!currentStation || currentStation.isBulletin) return;
+  inBandMetadataSource = source;
+  const text = formatTrackInfo(info);
+  if (!text || (currentTrackInfo && formatTrackInfo(currentTrackInfo) === text)) return;
+  if (metadataPoller) metadataPoller.lastText = text;
+  console.log(`✓ In-stream track (${source}):`, text);
+  updateCurrentTrack(info);
+}
+
+function clearInBandMetadata() {
+  stopIcyMetadata();
+  inBandMetadataTimeline = [];
+  appliedTimelineEntry = null;
+  inBandMetadataSource = null;
+}
+
+// Titles from HLS fragments (and a time-shifted Icecast feed) arrive ahead of
+// playback, so they're kept on a timeline by media time and shown when the
+// playhead reaches them. Rewinding brings back the title that was on then.
+function scheduleInBandMetadata(source, info, mediaTime) {
+  inBandMetadataTimeline.push({ time: mediaTime, source, info });
+  inBandMetadataTimeline.sort((a, b) => a.time - b.time);
+  applyDueInBandMetadata();
+}
+
+function applyDueInBandMetadata() {
+  if (!audio || inBandMetadataTimeline.length === 0) return;
+  const now = audio.currentTime;
+  let due = null;
+  for (const entry of inBandMetadataTimeline) {
+    if (entry.time > now + 0.25) break;
+    due = entry;
+  }
+  if (due && due !== appliedTimelineEntry) {
+    appliedTimelineEntry = due;
+    applyInBandMetadata(due.source, due.info);
+  }
+
+  // Forget titles that have left the buffer, keeping the one still in force
+  const bufferStart = audio.buffered && audio.buffered.length ? audio.buffered.start(0) : now;
+  while (inBandMetadataTimeline.length > 1 && inBandMetadataTimeline[1].time <= bufferStart) {
+    inBandMetadataTimeline.shift();
+  }
+}
+
+// Read an Icecast stream with ICY metadata interleaved. Every `icy-metaint`
+// audio bytes the server inserts a length byte (x16) and a metadata block.
+// Audio goes to onAudio (if given) and each non-empty block to onMetadata.
+// Resolves when the stream ends, or after `maxBlocks` metadata slots; rejects
+// if the server won't send (or won't expose, via CORS) icy-metaint and there's
+// no audio consumer.
+// Only metadata-only reads ask for ICY: the custom header needs a CORS
+// preflight, and a server that interleaves titles but hides icy-metaint would
+// leave them mixed into the audio of a read that keeps it.
+async function readIcyStream(url, { signal, onAudio, onMetadata, maxBlocks = Infinity }) {
+  const headers = onAudio ? {} : { 'Icy-MetaData': '1' };
+  const response = await fetch(url, { headers, cache: 'no-store', signal });
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const metaInt = parseInt(response.headers.get('icy-metaint'), 10) || 0;
+  if (!metaInt && !onAudio) {
+    response.body.cancel();
+    throw new Error('Stream has no ICY metadata');
+  }
+
+  const reader = response.body.getReader();
+  let state = 'audio';
+  let remaining = metaInt || Infinity;
+  let metaBuffer = null;
+  let metaPos = 0;
+  let blocks = 0;
+
+  for (;;) {
+    if (blocks >= maxBlocks) {
+      reader.cancel();
+      return;
+    }
+
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    let pos = 0;
+    while (pos < value.length) {
+      if (state === 'audio') {
+        const count = Math.min(remaining, value.length - pos);
+        if (onAudio) onAudio(value.subarray(pos, pos + count));
+        pos += count;
+        remaining -= count;
+        if (remaining === 0) state = 'length';
+      } else if (state === 'length') {
+        const length = value[pos++] * 16;
+        blocks++;
+        if (length === 0) {
+          state = 'audio';
+          remaining = metaInt;
+        } else {
+          state = 'meta';
+          metaBuffer = new Uint8Array(length);
+          metaPos = 0;
+        }
+      } else {
+        const count = Math.min(metaBuffer.length - metaPos, value.length - pos);
+        metaBuffer.set(value.subarray(pos, pos + count), metaPos);
+        pos += count;
+        metaPos += count;
+        if (metaPos === metaBuffer.length) {
+          if (onMetadata) onMetadata(decodeIcyMetadata(metaBuffer));
+          state = 'audio';
+          remaining = metaInt;
+        }
+      }
+    }
+  }
+}
+
+// ICY metadata is usually UTF-8, but older encoders send Latin-1
+function decodeIcyMetadata(bytes) {
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) end--;
+  const trimmed = bytes.subarray(0, end);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(trimmed);
+  } catch (e) {
+    return new TextDecoder('iso-8859-1').decode(trimmed);
+  }
+}
+
+function parseStreamTitle(raw) {
+  const match = /StreamTitle='(.*?)';/s.exec(raw);
+  const text = match ? match[1].trim() : '';
+  return text ? parseTrackText(text) : null;
+}
+
+// Sample an Icecast mount's ICY metadata alongside playback: open a second
+// connection, read until a title or ICY_SAMPLE_BLOCKS slots arrive, hang up,
+// and look again a minute later. The audio bytes are discarded, so the
+// connection is kept short, and only sampled while the station plays.
+function startIcyMetadata(url) {
+  stopIcyMetadata();
+  if (icyUnsupportedUrls.has(url) || typeof ReadableStream === 'undefined') return;
+
+  const controller = new AbortController();
+  let received = false;
+  icyMetadataController = controller;
+  readIcyStream(url, {
+    signal: controller.signal,
+    maxBlocks: ICY_SAMPLE_BLOCKS,
+    onMetadata: (raw) => {
+      const info = parseStreamTitle(raw);
+      if (!info || icyMetadataController !== controller) return;
+      received = true;
+      if (audio && audio._timeShiftFeed) {
+        // A time-shifted feed has this title at its buffered (live) edge
+        const buffered = audio.buffered;
+        scheduleInBandMetadata('icy', { ...info, at: Date.now() }, buffered.length ? buffered.end(buffered.length - 1) : audio.currentTime);
+      } else {
+        applyInBandMetadata('icy', { ...info, at: Date.now() });
+      }
+      controller.abort();
+    }
+  }).catch((error) => {
+    if (error.name === 'AbortError') return;
+    debug('No in-stream ICY metadata:', error.message);
+    if (!received) icyUnsupportedUrls.add(url);
+  }).finally(() => {
+    // Stopped (pause, station switch) or unsupported: no next sample
+    if (icyMetadataController !== controller) return;
+    icyMetadataController = null;
+    if (icyUnsupportedUrls.has(url)) return;
+    icyMetadataTimer = setTimeout(() => {
+      icyMetadataTimer = null;
+      if (audio && !audio.paused && currentStation && currentStation.url === url) startIcyMetadata(url);
+    }, ICY_SAMPLE_INTERVAL_MS);
+  });
+}
+
+function stopIcyMetadata() {
+  if (icyMetadataTimer) {
+    clearTimeout(icyMetadataTimer);
+    icyMetadataTimer = null;
+  }
+  if (icyMetadataController) {
+    icyMetadataController.abort();
+    icyMetadataController = null;
+  }
+}
+
+// Parse the text frames out of one or more ID3v2 tags
+function parseId3Frames(bytes) {
+  const frames = {};
+  const syncsafe = (b, i) => (b[i] << 21) | (b[i + 1] << 14) | (b[i + 2] << 7) | b[i + 3];
+  let tagStart = 0;
+
+  while (tagStart + 10 <= bytes.length &&
+         bytes[tagStart] === 0x49 && bytes[tagStart + 1] === 0x44 && bytes[tagStart + 2] === 0x33) { // "ID3"
+    const version = bytes[tagStart + 3];
+    const tagEnd = Math.min(bytes.length, tagStart + 10 + syncsafe(bytes, tagStart + 6));
+    let pos = tagStart + 10;
+    if (bytes[tagStart + 5] & 0x40) {
+      // Skip the extended header
+      pos += version === 4 ? syncsafe(bytes, pos) : ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) + 4;
+    }
+
+    while (pos + 10 <= tagEnd && bytes[pos] !== 0) {
+      const id = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+      const size = version === 4
+        ? syncsafe(bytes, pos + 4)
+        : (bytes[pos + 4] << 24) | (bytes[pos + 5] << 16) | (bytes[pos + 6] << 8) | bytes[pos + 7];
+      const data = bytes.subarray(pos + 10, Math.min(tagEnd, pos + 10 + size));
+      pos += 10 + size;
+      if (id[0] !== 'T' || data.length === 0) continue;
+
+      const text = decodeId3Text(data[0], data.subarray(1));
+      if (id === 'TXXX') {
+        // "description\0value"
+        const [description, value] = text.split('\0');
+        frames[`TXXX:${description}`] = value || '';
+      } else {
+        frames[id] = text.split('\0')[0];
+      }
+    }
+    tagStart = tagEnd;
+  }
+  return frames;
+}
+
+function decodeId3Text(encoding, bytes) {
+  const labels = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+  try {
+    return new TextDecoder(labels[encoding] || 'utf-8').decode(bytes).replace(/\0+$/, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Turn ID3 text frames into track info. Some HLS encoders (iHeart among them)
+// pack everything into TIT2 as title="...",artist="...".
+function id3FramesToTrackInfo(frames) {
+  const rawTitle = (frames.TIT2 || '').trim();
+  const packed = {};
+  rawTitle.replace(/(\w+)="([^"]*)"/g, (match, key, value) => {
+    packed[key.toLowerCase()] = value.trim();
+    return match;
+  });
+
+  const title = packed.title !== undefined ? packed.title : rawTitle;
+  const artist = packed.artist !== undefined ? packed.artist : (frames.TPE1 || '').trim();
+  if (!title && !artist) return null;
+  if (title && artist) return { artist, title, text: `${artist} - ${title}` };
+  return parseTrackText(title || artist);
+}
+
+// "06:30" -> minutes after midnight. "24:00" is allowed as an end time.
+function parseClockMinutes(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+// A guide entry is either a weekly slot in NZ time ({ days, start: "06:00",
+// end: "09:00" }, days 0 = Sunday) or a one-off with ISO timestamps
+function normalizeScheduleEntry(entry) {
+  if (!entry || typeof entry.title !== 'string' || !entry.title.trim()) return null;
+  const title = entry.title.trim();
+  const description = typeof entry.description === 'string' ? entry.description.trim() : '';
+  const startMinutes = parseClockMinutes(entry.start);
+  const endMinutes = parseClockMinutes(entry.end);
+  if (startMinutes !== null && endMinutes !== null) {
+    const days = Array.isArray(entry.days) ? entry.days.filter(day => day >= 0 && day <= 6) : [0, 1, 2, 3, 4, 5, 6];
+    return { title, description, days, startMinutes, endMinutes };
+  }
+  const startAt = Date.parse(entry.start);
+  const endAt = Date.parse(entry.end);
+  if (isNaN(startAt) || isNaN(endAt) || endAt <= startAt) return null;
+  return { title, description, startAt, endAt };
+}
+
+function parseJsonSchedule(data) {
+  const result = new Map();
+  const stations = (data && data.stations) || {};
+  Object.keys(stations).forEach((stationId) => {
+    const entries = (Array.isArray(stations[stationId]) ? stations[stationId] : [])
+      .map(normalizeScheduleEntry)
+      .filter(Boolean);
+    if (entries.length) result.set(stationId, entries);
+  });
+  return result;
+}
+
+// XMLTV times look like "20261019060000 +1300"
+function parseXmltvTime(text) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-])?(\d{2})?(\d{2})?/.exec(String(text || '').trim());
+  if (!match) return NaN;
+  const [, year, month, day, hour, minute, second, sign, offsetHours, offsetMinutes] = match;
+  const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0));
+  const offset = sign ? (+offsetHours * 60 + +(offsetMinutes || 0)) * (sign === '-' ? -1 : 1) : 0;
+  return utc - offset * 60000;
+}
+
+// XMLTV programmes are filed under their channel id, and again under each
+// of the channel's display names ("name:zm"), which are matched to stations
+// by name when there's no channel with the station's id
+function parseXmltvSchedule(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('Invalid XMLTV');
+
+  const channelNames = new Map();
+  doc.querySelectorAll('channel').forEach((channel) => {
+    channelNames.set(channel.getAttribute('id'), Array.from(channel.querySelectorAll('display-name'))
+      .map(el => `name:${el.textContent.trim().toLowerCase()}`));
+  });
+
+  const result = new Map();
+  doc.querySelectorAll('programme').forEach((programme) => {
+    const channel = programme.getAttribute('channel');
+    const titleEl = programme.querySelector('title');
+    const descEl = programme.querySelector('desc');
+    const entry = normalizeScheduleEntry({
+      title: titleEl ? titleEl.textContent : '',
+      description: descEl ? descEl.textContent : '',
+      start: new Date(parseXmltvTime(programme.getAttribute('start'))).toISOString(),
+      end: new Date(parseXmltvTime(programme.getAttribute('stop'))).toISOString()
+    });
+    if (!entry) return;
+    [channel, ...(channelNames.get(channel) || [])].forEach((key) => {
+      if (!result.has(key)) result.set(key, []);
+      result.get(key).push(entry);
+    });
+  });
+  return result;
+}
+
+async function fetchSchedule(url) {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const text = await response.text();
+  return text.trim().startsWith('<') ? parseXmltvSchedule(text) : parseJsonSchedule(JSON.parse(text));
+}
+
+// Load the guide from the chosen URL, falling back to the bundled one
+async function loadSchedules() {
+  const url = getSetting('scheduleUrl', null);
+  try {
+    schedules = await fetchSchedule(url || SCHEDULE_DEFAULT_URL);
+  } catch (error) {
+    console.warn('Failed to load programme guide:', error);
+    if (!url) return;
+    showToast({
+      title: 'Programme Guide',
+      message: `Unable to load the guide from ${escapeHtml(url)}. Using the built-in schedule.`,
+      type: 'warning',
+      duration: 5000
+    });
+    try {
+      schedules = await fetchSchedule(SCHEDULE_DEFAULT_URL);
+    } catch (fallbackError) {
+      console.warn('Failed to load built-in programme guide:', fallbackError);
+    }
+  }
+  schedulesLoadedAt = Date.now();
+  if (updateProgrammeInfo()) renderNowPlaying();
+}
+
+// NZ wall-clock time as if it were UTC, so weekly slots in NZ time can be
+// laid out with plain date arithmetic
+function getNZWallClock(instant = new Date()) {
+  const nz = getNZDTTime(instant);
+  return Date.UTC(nz.getFullYear(), nz.getMonth(), nz.getDate(), nz.getHours(), nz.getMinutes(), nz.getSeconds());
+}
+
+function formatWallClock(wallClock) {
+  const date = new Date(wallClock);
+  return `${String(date.getUTCHours()).padStart(2, '0')}:${String(date.getUTCMinutes()).padStart(2, '0')}`;
+}
+
+// What's on a station now and what's next, in NZ time
+function getProgrammes(station, instant = new Date()) {
+  const entries = schedules.get(station.id) || schedules.get(`name:${station.name.toLowerCase()}`);
+  if (!entries) return null;
+  const now = getNZWallClock(instant);
+  const today = new Date(now);
+  const midnight = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+
+  // Weekly slots from yesterday to a week ahead, plus the one-off entries
+  const airings = [];
+  entries.forEach((entry) => {
+    if (entry.startAt !== undefined) {
+      airings.push({ entry, start: getNZWallClock(new Date(entry.startAt)), end: getNZWallClock(new Date(entry.endAt)) });
+      return;
+    }
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = (today.getUTCDay() + offset + 7) % 7;
+      if (!entry.days.includes(day)) continue;
+      const start = midnight + offset * 86400000 + entry.startMinutes * 60000;
+      // An end at or before the start runs past midnight
+      const endMinutes = entry.endMinutes > entry.startMinutes ? entry.endMinutes : entry.endMinutes + 24 * 60;
+      airings.push({ entry, start, end: midnight + offset * 86400000 + endMinutes * 60000 });
+    }
+  });
+
+  const current = airings.find(airing => airing.start <= now && now < airing.end) || null;
+  const upcoming = airings
+    .filter(airing => airing.start > now && airing.entry !== (current && current.entry))
+    .sort((a, b) => a.start - b.start)[0] || null;
+  const describe = airing => airing && {
+    title: airing.entry.title,
+    description: airing.entry.description,
+    start: formatWallClock(airing.start),
+    day: new Date(airing.start).getUTCDay(),
+    weekly: !!airing.entry.days
+  };
+  return { now: describe(current), next: describe(upcoming) };
+}
+
+// Refresh "On now / Up next" for the current live station. True if it changed.
+function updateProgrammeInfo() {
+  const station = currentStation && currentStation.isLive && stationsById.get(currentStation.stationId);
+  const programme = station ? getProgrammes(station) : null;
+  const changed = JSON.stringify(programme) !== JSON.stringify(currentProgramme);
+  currentProgramme = programme;
+
+  const info = document.getElementById('schedule-info');
+  const nowEl = document.getElementById('schedule-now');
+  const nextEl = document.getElementById('schedule-next');
+  if (info) info.hidden = !(programme && (programme.now || programme.next));
+  if (nowEl) {
+    nowEl.hidden = !(programme && programme.now);
+    nowEl.textContent = programme && programme.now ? `On now: ${programme.now.title}` : '';
+    nowEl.title = programme && programme.now ? programme.now.description : '';
+  }
+  if (nextEl) {
+    nextEl.hidden = !(programme && programme.next);
+    nextEl.textContent = programme && programme.next ? `Up next: ${programme.next.start} ${programme.next.title}` : '';
+    nextEl.title = programme && programme.next ? programme.next.description : '';
+  }
+  const remindBtn = document.getElementById('schedule-remind-btn');
+  if (remindBtn) remindBtn.hidden = !(programme && programme.next);
+  return changed;
+}
+
+function setupSchedule() {
+  // 🔔 beside "Up next" fills in a reminder for that show
+  const remindBtn = document.getElementById('schedule-remind-btn');
+  if (remindBtn) {
+    remindBtn.addEventListener('click', () => {
+      const next = currentProgramme && currentProgramme.next;
+      if (!next || !openReminderForm) return;
+      openReminderForm({
+        name: next.title,
+        stationId: currentStation.stationId,
+        day: next.day,
+        time: next.start,
+        repeat: next.weekly
+      });
+    });
+  }
+
+  const scheduleSettings = document.getElementById('schedule-settings');
+  if (scheduleSettings) {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+    const text = document.createElement('span');
+    text.textContent = 'Programme guide URL';
+    const input = document.createElement('input');
+    input.type = 'url';
+    input.className = 'settings-input';
+    input.placeholder = 'Built-in (JSON or XMLTV)';
+    input.value = getSetting('scheduleUrl', '') || '';
+    input.addEventListener('change', () => {
+      setSetting('scheduleUrl', input.value.trim() || null);
+      loadSchedules();
+    });
+    row.append(text, input);
+    scheduleSettings.appendChild(row);
+  }
+
+  // Programmes change on the clock; the guide itself is refetched now and then
+  if (scheduleInterval) clearInterval(scheduleInterval);
+  scheduleInterval = setInterval(() => {
+    if (Date.now() - schedulesLoadedAt > SCHEDULE_REFRESH_MS) {
+      loadSchedules();
+    } else if (updateProgrammeInfo()) {
+      renderNowPlaying();
+    }
+  }, SCHEDULE_CHECK_MS);
+  loadSchedules();
+}
+
+// Open (and create or upgrade) the app's IndexedDB database
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (e) => {
+      const db = request.result;
+      // Cases fall through so an old database picks up every later store
+      switch (e.oldVersion) {
+        case 0: {
+          const tracks = db.createObjectStore('tracks', { keyPath: 'id', autoIncrement: true });
+          tracks.createIndex('stationAt', ['stationId', 'at']);
+          tracks.createIndex('at', 'at');
+        }
+        // falls through
+        case 1: {
+          const favourites = db.createObjectStore('favourites', { keyPath: 'id', autoIncrement: true });
+          favourites.createIndex('text', 'text');
+          favourites.createIndex('at', 'at');
+        }
+        // falls through
+        case 2: {
+          const recordings = db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+          recordings.createIndex('at', 'at');
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null; // Let a later call try again
+  });
+  return dbPromise;
+}
+
+// Run `work(store)` in a transaction; resolves with whatever `work` leaves in
+// `result.value` once the transaction commits
+async function withStore(storeName, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = { value: undefined };
+    work(tx.objectStore(storeName), result);
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function stationHistoryRange(stationId) {
+  return IDBKeyRange.bound([stationId, -Infinity], [stationId, Infinity]);
+}
+
+// Add a track to a station's history unless it's the one already at the top
+// (a reload or reconnect re-reports the current track). Resolves true if added.
+function addTrackToHistory(station, info) {
+  const record = {
+    stationId: station.stationId,
+    stationName: station.name,
+    artist: info.artist || '',
+    title: info.title || '',
+    text: formatTrackInfo(info),
+    at: info.at || Date.now()
+  };
+  return withStore('tracks', 'readwrite', (store, result) => {
+    const index = store.index('stationAt');
+    // Rewinding a time-shifted station re-reports tracks at their original time
+    const same = index.get([record.stationId, record.at]);
+    same.onsuccess = () => {
+      if (same.result && same.result.text === record.text) {
+        result.value = false;
+        return;
+      }
+      const latest = index.openCursor(stationHistoryRange(record.stationId), 'prev');
+      latest.onsuccess = () => {
+        const cursor = latest.result;
+        if (cursor && cursor.value.text === record.text) {
+          result.value = false;
+          return;
+        }
+        store.add(record);
+        result.value = true;
+      };
+    };
+  });
+}
+
+// Newest first
+function getTrackHistory(stationId, limit = TRACK_HISTORY_PAGE) {
+  return withStore('tracks', 'readonly', (store, result) => {
+    result.value = [];
+    const request = store.index('stationAt').openCursor(stationHistoryRange(stationId), 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || result.value.length >= limit) return;
+      result.value.push(cursor.value);
+      cursor.continue();
+    };
+  });
+}
+
+// Stations that have any history, as [{ stationId, stationName }]
+function getTrackHistoryStations() {
+  return withStore('tracks', 'readonly', (store, result) => {
+    result.value = [];
+    const request = store.index('stationAt').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const { stationId, stationName } = cursor.value;
+      result.value.push({ stationId, stationName });
+      // Jump past the rest of this station's entries
+      cursor.continue([stationId, -Infinity]);
+    };
+  });
+}
+
+function clearTrackHistory(stationId) {
+  return withStore('tracks', 'readwrite', (store) => {
+    const request = store.index('stationAt').openCursor(stationHistoryRange(stationId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+// Drop history older than TRACK_HISTORY_MAX_AGE_DAYS
+function pruneTrackHistory() {
+  const cutoff = Date.now() - TRACK_HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return withStore('tracks', 'readwrite', (store) => {
+    const request = store.index('at').openCursor(IDBKeyRange.upperBound(cutoff, true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+// Favourite tracks: saved from the ♥ on the now-playing line
+function addFavourite(station, info) {
+  const nz = getNZDTTime();
+  const pad = n => String(n).padStart(2, '0');
+  const record = {
+    artist: info.artist || '',
+    title: info.title || '',
+    text: formatTrackInfo(info),
+    stationId: station.stationId,
+    stationName: station.name,
+    at: Date.now(),
+    nzTime: `${nz.getFullYear()}-${pad(nz.getMonth() + 1)}-${pad(nz.getDate())} ${pad(nz.getHours())}:${pad(nz.getMinutes())}`
+  };
+  return withStore('favourites', 'readwrite', (store, result) => {
+    const request = store.add(record);
+    request.onsuccess = () => {
+      result.value = { ...record, id: request.result };
+    };
+  });
+}
+
+// Put back a favourite exactly as it was (undo)
+function restoreFavourite(record) {
+  return withStore('favourites', 'readwrite', (store) => {
+    store.put(record);
+  });
+}
+
+function removeFavourite(id) {
+  return withStore('favourites', 'readwrite', (store) => {
+    store.delete(id);
+  });
+}
+
+// The saved favourite for this track text, if any
+function findFavourite(text) {
+  return withStore('favourites', 'readonly', (store, result) => {
+    const request = store.index('text').get(text);
+    request.onsuccess = () => {
+      result.value = request.result || null;
+    };
+  });
+}
+
+// Newest first
+function getFavourites() {
+  return withStore('favourites', 'readonly', (store, result) => {
+    const request = store.index('at').getAll();
+    request.onsuccess = () => {
+      result.value = request.result.reverse();
+    };
+  });
+}
+
+// Fill the ♥ when the current track is already a favourite
+function updateFavouriteButton() {
+  const button = document.getElementById('favourite-btn');
+  if (!button) return;
+  const info = currentStation && !currentStation.isBulletin ? currentTrackInfo : null;
+  button.hidden = !info || !('indexedDB' in window);
+  if (button.hidden) return;
+
+  const text = formatTrackInfo(info);
+  const setSaved = (saved) => {
+    if (currentTrackInfo !== info) return; // Track changed while we looked
+    button.textContent = saved ? '♥' : '♡';
+    button.title = saved ? 'Remove from favourites' : 'Save to favourites';
+    button.setAttribute('aria-pressed', String(saved));
+  };
+  setSaved(false);
+  findFavourite(text).then(favourite => setSaved(!!favourite)).catch(() => {});
+}
+
+async function toggleCurrentFavourite() {
+  const info = currentTrackInfo;
+  if (!info || !currentStation) return;
+  const text = formatTrackInfo(info);
+  try {
+    const existing = await findFavourite(text);
+    if (existing) {
+      await removeFavourite(existing.id);
+      showToast({ message: `Removed ${escapeHtml(text)} from favourites`, type: 'info', duration: 3000, icon: '♡' });
+    } else {
+      await addFavourite(currentStation, info);
+      showToast({ message: `Saved ${escapeHtml(text)} to favourites`, type: 'success', duration: 3000, icon: '♥' });
     }
+  } catch (error) {
+    console.warn('Failed to update favourites:', error);
+    showToast({ title: 'Favourites', message: 'Could not save favourites on this device.', type: 'error' });
+  }
+  updateFavouriteButton();
+  if (refreshFavourites) refreshFavourites();
+}
+
+function csvField(value) {
+  const text = String(value == null ? '' : value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export favourites as an M3U playlist, CSV or JSON. M3U entries point at a
+// Spotify search so the playlist opens somewhere useful; playlist importers
+// match on the #EXTINF "Artist - Title".
+function formatFavouritesExport(favourites, format) {
+  const oldestFirst = [...favourites].reverse();
+  if (format === 'm3u') {
+    const lines = ['#EXTM3U', '#PLAYLIST:RadioLive favourites'];
+    oldestFirst.forEach((fav) => {
+      lines.push(`#EXTINF:-1,${fav.text}`);
+      lines.push(`# ${fav.stationName}, ${fav.nzTime} NZT`);
+      lines.push(getTrackSearchLinks(fav.text)[0].url);
+    });
+    return { type: 'audio/x-mpegurl', body: lines.join('\n') + '\n' };
+  }
+  if (format === 'csv') {
+    const rows = [['artist', 'title', 'station', 'nz_time', 'saved_at']];
+    oldestFirst.forEach((fav) => {
+      rows.push([fav.artist, fav.title || (fav.artist ? '' : fav.text), fav.stationName, fav.nzTime, new Date(fav.at).toISOString()]);
+    });
+    return { type: 'text/csv', body: rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n' };
+  }
+  const entries = oldestFirst.map(fav => ({
+    artist: fav.artist,
+    title: fav.title || (fav.artist ? '' : fav.text),
+    station: fav.stationName,
+    stationId: fav.stationId,
+    nzTime: fav.nzTime,
+    savedAt: new Date(fav.at).toISOString()
+  }));
+  return { type: 'application/json', body: JSON.stringify(entries, null, 2) + '\n' };
+}
+
+async function exportFavourites(format) {
+  let favourites = [];
+  try {
+    favourites = await getFavourites();
+  } catch (error) {
+    console.warn('Failed to read favourites:', error);
+  }
+  if (favourites.length === 0) {
+    showToast({ message: 'No favourites to export yet.', type: 'info', duration: 3000 });
+    return;
+  }
+
+  const { type, body } = formatFavouritesExport(favourites, format);
+  const nz = getNZDTTime();
+  const date = `${nz.getFullYear()}-${String(nz.getMonth() + 1).padStart(2, '0')}-${String(nz.getDate()).padStart(2, '0')}`;
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([body], { type }));
+  link.download = `radiolive-favourites-${date}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// "14:05" for today, "Tue 14:05" this week, "Tue 12 Oct 14:05" before that (NZ time)
+function formatNZTimestamp(at) {
+  const then = getNZDTTime(new Date(at));
+  const now = getNZDTTime();
+  const time = `${String(then.getHours()).padStart(2, '0')}:${String(then.getMinutes()).padStart(2, '0')}`;
+  const daysAgo = Math.round((new Date(now).setHours(0, 0, 0, 0) - new Date(then).setHours(0, 0, 0, 0)) / 86400000);
+  if (daysAgo === 0) return time;
+  if (daysAgo < 7) return `${WEEKDAY_NAMES[then.getDay()]} ${time}`;
+  return `${WEEKDAY_NAMES[then.getDay()]} ${then.getDate()} ${MONTH_NAMES[then.getMonth()]} ${time}`;
+}
+
+function getTrackSearchLinks(text) {
+  const query = encodeURIComponent(text);
+  return [
+    { label: 'Spotify', url: `https://open.spotify.com/search/${query}` },
+    { label: 'YouTube', url: `https://www.youtube.com/results?search_query=${query}` },
+    { label: 'Google', url: `https://www.google.com/search?q=${query}` }
+  ];
+}
+
+function describeHeardTrack(entry) {
+  return `${entry.text} (heard on ${entry.stationName}, ${formatNZTimestamp(entry.at)} NZT)`;
+}
+
+// Swipe-up "Recently played" panel under the player card
+function setupTrackHistory() {
+  const card = document.getElementById('track-history');
+  const handle = document.getElementById('history-handle');
+  const body = document.getElementById('history-body');
+  const stationSelect = document.getElementById('history-station');
+  const list = document.getElementById('history-list');
+  const clearBtn = document.getElementById('history-clear');
+  const historyToolbar = document.getElementById('history-toolbar');
+  const favouritesToolbar = document.getElementById('favourites-toolbar');
+  const favouriteBtn = document.getElementById('favourite-btn');
+  if (!card || !handle || !body || !list) return;
+  const tabs = Array.from(card.querySelectorAll('.history-tab'));
+
+  // Without IndexedDB there's nothing to show
+  if (!('indexedDB' in window)) {
+    card.hidden = true;
+    return;
+  }
+  pruneTrackHistory().catch(error => console.warn('Failed to prune track history:', error));
+
+  let shownStationId = null;
+  let view = 'history';
+
+  function setOpen(open) {
+    body.hidden = !open;
+    handle.setAttribute('aria-expanded', String(open));
+    if (open) renderView();
+  }
 
-    if (insertBeforeNode) {
-      if (insertBeforeNode !== placeholder) {
-        stationsList.insertBefore(placeholder, insertBeforeNode);
-      }
+  function renderView() {
+    tabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+    historyToolbar.hidden = view !== 'history';
+    favouritesToolbar.hidden = view !== 'favourites';
+    if (view === 'history') {
+      renderStationOptions();
     } else {
-      stationsList.appendChild(placeholder);
+      renderFavourites();
     }
   }
 
-  function finishDrag() {
-    isDragging = false;
-    dragStarted = false;
-    if (onWindowMove) {
-      window.removeEventListener('pointermove', onWindowMove);
-      onWindowMove = null;
-    }
-    if (onWindowUp) {
-      window.removeEventListener('pointerup', onWindowUp);
-      window.removeEventListener('pointercancel', onWindowUp);
-      onWindowUp = null;
+  async function renderStationOptions() {
+    let stations = [];
+    try {
+      stations = await getTrackHistoryStations();
+    } catch (error) {
+      console.warn('Failed to read track history:', error);
     }
-    if (ghost) {
-      ghost.remove();
-      ghost = null;
+    const current = currentStation && currentStation.stationId && !currentStation.isBulletin
+      ? { stationId: currentStation.stationId, stationName: currentStation.name }
+      : null;
+    if (current && !stations.some(s => s.stationId === current.stationId)) {
+      stations.unshift(current);
     }
-    if (placeholder && draggedButton) {
-      stationsList.insertBefore(draggedButton, placeholder);
-      placeholder.remove();
-      placeholder = null;
+
+    stationSelect.replaceChildren(...stations.map(({ stationId, stationName }) => {
+      const option = document.createElement('option');
+      option.value = stationId;
+      option.textContent = stationName;
+      return option;
+    }));
+    stationSelect.hidden = stations.length === 0;
+    shownStationId = current ? current.stationId : (stations[0] ? stations[0].stationId : null);
+    stationSelect.value = shownStationId || '';
+    renderList();
+  }
+
+  async function renderList() {
+    let entries = [];
+    if (shownStationId) {
+      try {
+        entries = await getTrackHistory(shownStationId);
+      } catch (error) {
+        console.warn('Failed to read track history:', error);
+      }
     }
-    if (draggedButton) {
-      draggedButton.style.display = '';
+    if (view !== 'history') return;
+    clearBtn.hidden = entries.length === 0;
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'No tracks yet. Titles appear here as stations report them.';
+      list.replaceChildren(empty);
+      return;
     }
-    draggedButton = null;
-    document.body.classList.remove('reordering');
-    saveStationOrder(stationsList);
-  }
-}
 
-// Show/hide loading bar
-function showLoading() {
-  const loadingBar = document.getElementById('loading-bar');
-  if (loadingBar) {
-    loadingBar.style.display = 'block';
+    list.replaceChildren(...entries.map(entry => createTrackItem(entry)));
   }
-}
 
-function hideLoading() {
-  const loadingBar = document.getElementById('loading-bar');
-  if (loadingBar) {
-    loadingBar.style.display = 'none';
+  async function renderFavourites() {
+    let favourites = [];
+    try {
+      favourites = await getFavourites();
+    } catch (error) {
+      console.warn('Failed to read favourites:', error);
+    }
+    if (view !== 'favourites') return;
+
+    if (favourites.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'No favourites yet. Tap ♡ next to a track title to save it.';
+      list.replaceChildren(empty);
+      return;
+    }
+
+    list.replaceChildren(...favourites.map((favourite) => {
+      const item = createTrackItem(favourite, true);
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        removeFavourite(favourite.id).then(() => {
+          renderFavourites();
+          updateFavouriteButton();
+          showToast({
+            message: `Removed ${escapeHtml(favourite.text)}`,
+            type: 'info',
+            duration: 5000,
+            action: {
+              text: 'Undo',
+              callback: () => {
+                restoreFavourite(favourite).then(() => {
+                  if (view === 'favourites') renderFavourites();
+                  updateFavouriteButton();
+                }).catch(error => console.warn('Failed to restore favourite:', error));
+              }
+            }
+          });
+        }).catch(error => console.warn('Failed to remove favourite:', error));
+      });
+      item.querySelector('.history-actions').appendChild(removeBtn);
+      return item;
+    }));
   }
-}
 
-// Load and play station
-function loadStation(url, name, options) {
-  // Show loading bar
-  showLoading();
+  // One list row for a history entry or favourite
+  function createTrackItem(entry, showStation) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = formatNZTimestamp(entry.at);
+
+    const track = document.createElement('span');
+    track.className = 'history-track';
+    track.textContent = entry.text;
+    if (showStation) {
+      const station = document.createElement('span');
+      station.className = 'history-station-name';
+      station.textContent = ` · ${entry.stationName}`;
+      track.appendChild(station);
+    }
 
-  // Clean up old audio and its event listeners
-  if (audio) {
-    audio.pause();
-    if (audio._hlsInstance) {
-      audio._hlsInstance.destroy();
-      audio._hlsInstance = null;
+    const actions = document.createElement('span');
+    actions.className = 'history-actions';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', () => {
+      if (!navigator.clipboard) return;
+      navigator.clipboard.writeText(describeHeardTrack(entry)).then(() => {
+        showToast({ message: 'Copied to clipboard', type: 'success', duration: 2000 });
+      }).catch(error => console.warn('Copy failed:', error));
+    });
+    actions.appendChild(copyBtn);
+
+    if (navigator.share) {
+      const shareBtn = document.createElement('button');
+      shareBtn.textContent = 'Share';
+      shareBtn.addEventListener('click', () => {
+        navigator.share({ title: entry.text, text: describeHeardTrack(entry) }).catch(() => {});
+      });
+      actions.appendChild(shareBtn);
     }
-    // Remove all stored event listeners to prevent memory leaks
-    currentAudioListeners.forEach(({ event, handler }) => {
-      audio.removeEventListener(event, handler);
+
+    getTrackSearchLinks(entry.text).forEach(({ label, url }) => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = label;
+      actions.appendChild(link);
     });
-    currentAudioListeners = [];
-    audio.src = '';
-    audio = null;
+
+    item.append(time, track, actions);
+    return item;
   }
 
-  // Always use an Audio element — for HLS streams (e.g. TVNZ 1), use HLS.js
-  // so the browser plays audio-only and continues in the background on mobile.
-  audio = new Audio();
-  if (url.includes('.m3u8') && typeof Hls !== 'undefined' && Hls.isSupported()) {
-    // Chrome, Firefox, Edge — use HLS.js with lowest quality
-    const hls = new Hls({ startLevel: 0 });
-    hls.loadSource(url);
-    hls.attachMedia(audio);
-    hls.on(Hls.Events.MANIFEST_PARSED, () => {
-      hls.currentLevel = 0;
+  handle.addEventListener('click', () => setOpen(body.hidden));
+
+  // Swipe up to open, down to close
+  let startY = null;
+  handle.addEventListener('pointerdown', (e) => {
+    startY = e.clientY;
+  });
+  handle.addEventListener('pointerup', (e) => {
+    if (startY === null) return;
+    const dy = e.clientY - startY;
+    startY = null;
+    if (dy < -30) setOpen(true);
+    else if (dy > 30) setOpen(false);
+  });
+  handle.addEventListener('pointercancel', () => {
+    startY = null;
+  });
+
+  tabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      view = tab.dataset.view;
+      renderView();
     });
-    hls.on(Hls.Events.ERROR, (event, data) => {
-      if (data.fatal) {
-        audio.dispatchEvent(new Event('error'));
-      }
+  });
+
+  favouritesToolbar.querySelectorAll('[data-export]').forEach((button) => {
+    button.addEventListener('click', () => exportFavourites(button.dataset.export));
+  });
+
+  if (favouriteBtn) {
+    favouriteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleCurrentFavourite();
     });
-    audio._hlsInstance = hls;
-  } else {
-    // Safari/iOS native HLS, or regular stream URLs
-    audio.src = url;
   }
-  audio.volume = document.getElementById('volume-slider').value / 100;
-  // Apply current playback speed to new audio
-  audio.playbackRate = currentSpeed || 1;
 
-  // Auto-play when loaded
-  const canplayHandler = () => {
-    hideLoading();
-    audio.play();
-    document.querySelector('.play-icon').style.display = 'none';
-    document.querySelector('.pause-icon').style.display = 'inline';
-    document.getElementById('play-pause-btn').classList.add('playing');
-    updateMediaSessionState();
-  };
-  audio.addEventListener('canplay', canplayHandler);
-  currentAudioListeners.push({ event: 'canplay', handler: canplayHandler });
-
-  // Handle errors
-  const errorHandler = (e) => {
-    hideLoading();
-    console.error('Audio error:', e);
-    const nowPlayingElem = document.getElementById('now-playing');
-    // Update text while preserving the button
-    const textNode = nowPlayingElem.firstChild;
-    if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-      textNode.textContent = `Error loading ${name}`;
-    } else {
-      nowPlayingElem.childNodes[0].textContent = `Error loading ${name}`;
-    }
+  stationSelect.addEventListener('change', () => {
+    shownStationId = stationSelect.value;
+    renderList();
+  });
 
-    // Show toast notification with retry option
-    showToast({
-      title: 'Stream Error',
-      message: `Unable to connect to ${name}. Please try again.`,
-      type: 'error',
-      duration: 6000,
-      action: {
-        text: 'Retry',
-        callback: () => loadStation(url, name, options)
-      }
-    });
+  clearBtn.addEventListener('click', () => {
+    if (!shownStationId) return;
+    const name = stationSelect.selectedOptions[0] ? stationSelect.selectedOptions[0].textContent : 'this station';
+    clearTrackHistory(shownStationId)
+      .then(() => {
+        renderStationOptions();
+        showToast({ message: `Cleared history for ${escapeHtml(name)}`, type: 'info', duration: 3000 });
+      })
+      .catch(error => console.warn('Failed to clear track history:', error));
+  });
 
-    const onAirIndicator = document.getElementById('on-air-indicator');
-    const onAirText = document.querySelector('.on-air-text');
-    onAirIndicator.classList.remove('live');
-    onAirText.textContent = 'OFF AIR';
-    updateMediaSessionState();
+  // New tracks for the station on show appear straight away
+  refreshTrackHistory = (stationId) => {
+    if (!body.hidden && view === 'history' && stationId === shownStationId) renderList();
   };
-  audio.addEventListener('error', errorHandler);
-  currentAudioListeners.push({ event: 'error', handler: errorHandler });
-
-  // Show loading state while waiting
-  const waitingHandler = () => {
-    showLoading();
+  refreshFavourites = () => {
+    if (!body.hidden && view === 'favourites') renderFavourites();
   };
-  audio.addEventListener('waiting', waitingHandler);
-  currentAudioListeners.push({ event: 'waiting', handler: waitingHandler });
+}
 
-  // Hide loading when playing
-  const playingHandler = () => {
-    hideLoading();
-    const onAirIndicator = document.getElementById('on-air-indicator');
-    const onAirText = document.querySelector('.on-air-text');
-    onAirIndicator.classList.add('live');
-    onAirText.textContent = 'ON AIR';
-    updateMediaSessionState();
-  };
-  audio.addEventListener('playing', playingHandler);
-  currentAudioListeners.push({ event: 'playing', handler: playingHandler });
+// Start recording whatever live station is playing. Icecast mounts are teed
+// straight from the server (the original MP3/AAC bytes); everything else, or a
+// mount that refuses a cross-origin fetch, is captured from the audio element
+// with MediaRecorder.
+function startRecording(durationMinutes) {
+  if (activeRecording) return;
+  if (!audio || !currentStation || !currentStation.isLive) {
+    showToast({ message: 'Play a live station to record it.', type: 'info', duration: 3000 });
+    return;
+  }
 
-  // Handle audio end (for bulletins)
-  const endedHandler = () => {
-    const onAirIndicator = document.getElementById('on-air-indicator');
-    const onAirText = document.querySelector('.on-air-text');
-    onAirIndicator.classList.remove('live');
-    onAirText.textContent = 'OFF AIR';
-    document.querySelector('.play-icon').style.display = 'inline';
-    document.querySelector('.pause-icon').style.display = 'none';
-    document.getElementById('play-pause-btn').classList.remove('playing');
-    updateMediaSessionState();
+  const station = currentStation;
+  const source = (station.options.sources || [])[station.options.sourceIndex || 0];
+  const teeMimeType = !isHlsUrl(station.url) && source
+    ? { mp3: 'audio/mpeg', aac: 'audio/aac' }[source.format]
+    : null;
+
+  activeRecording = {
+    stationId: station.stationId,
+    stationName: station.name,
+    startedAt: Date.now(),
+    endsAt: durationMinutes > 0 ? Date.now() + durationMinutes * 60 * 1000 : null,
+    mimeType: null,
+    chunks: [],
+    fromElement: false,
+    stop: null
   };
-  audio.addEventListener('ended', endedHandler);
-  currentAudioListeners.push({ event: 'ended', handler: endedHandler });
 
-  currentStation = { url, name, isBulletin: isBulletinUrl(url) || name.includes('News'), isVideo: !!(options && options.isVideo) };
-  setMediaSessionMetadata(name, currentStation.isBulletin ? 'News Bulletin' : 'Live Radio');
-  if (updateBulletinControlsState) {
-    updateBulletinControlsState();
+  if (teeMimeType) {
+    const recording = activeRecording;
+    const controller = new AbortController();
+    recording.mimeType = teeMimeType;
+    recording.stop = () => controller.abort();
+    readIcyStream(station.url, {
+      signal: controller.signal,
+      onAudio: (bytes) => recording.chunks.push(bytes.slice())
+    }).then(() => {
+      // The server closed the stream; keep what we have
+      if (activeRecording === recording) stopRecording();
+    }).catch((error) => {
+      if (error.name === 'AbortError' || activeRecording !== recording) return;
+      if (recording.chunks.length > 0) {
+        stopRecording();
+        return;
+      }
+      debug('Recording tee unavailable, capturing the player instead:', error.message);
+      if (!recordFromElement(recording)) {
+        activeRecording = null;
+        updateRecordingUI();
+      }
+    });
+  } else if (!recordFromElement(activeRecording)) {
+    activeRecording = null;
+    return;
   }
 
-  // Update bulletin controls visibility on metadata/time changes
-  const metadataHandler = () => {
-    if (updateBulletinControlsState) {
-      updateBulletinControlsState();
-    }
-  };
-  audio.addEventListener('loadedmetadata', metadataHandler);
-  currentAudioListeners.push({ event: 'loadedmetadata', handler: metadataHandler });
+  if (recordingInterval) clearInterval(recordingInterval);
+  recordingInterval = setInterval(tickRecording, 1000);
+  updateRecordingUI();
+}
 
-  const durationHandler = () => {
-    if (updateBulletinControlsState) {
-      updateBulletinControlsState();
-    }
-  };
-  audio.addEventListener('durationchange', durationHandler);
-  currentAudioListeners.push({ event: 'durationchange', handler: durationHandler });
+// Capture the audio element's output with MediaRecorder. Returns false (after
+// telling the user) when the browser can't do it.
+function recordFromElement(recording) {
+  const mimeType = typeof MediaRecorder !== 'undefined'
+    ? RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+    : null;
+  if (!mimeType || !audio || typeof audio.captureStream !== 'function') {
+    showToast({ message: 'Recording this station isn\'t supported in this browser.', type: 'warning', duration: 5000 });
+    return false;
+  }
 
-  const timeUpdateHandler = () => {
-    if (syncScrubUI) {
-      syncScrubUI();
+  let recorder;
+  try {
+    recorder = new MediaRecorder(audio.captureStream(), { mimeType });
+  } catch (error) {
+    console.warn('Failed to start recorder:', error);
+    showToast({ message: 'Unable to record this station.', type: 'error', duration: 5000 });
+    return false;
+  }
+  recording.mimeType = mimeType;
+  recording.fromElement = true;
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data && e.data.size > 0) recording.chunks.push(e.data);
+  });
+  recording.stop = () => new Promise((resolve) => {
+    if (recorder.state === 'inactive') {
+      resolve();
+      return;
     }
-  };
-  audio.addEventListener('timeupdate', timeUpdateHandler);
-  currentAudioListeners.push({ event: 'timeupdate', handler: timeUpdateHandler });
+    recorder.addEventListener('stop', resolve, { once: true });
+    recorder.stop();
+  });
+  recorder.start(10000); // Hand over data every 10s so a crash loses little
+  return true;
+}
 
-  // Clear old 95bFM interval if it exists (prevent race condition)
-  if (bfmNowPlayingInterval) {
-    clearInterval(bfmNowPlayingInterval);
-    bfmNowPlayingInterval = null;
-  }
-
-  // Start fetching 95bFM now playing if it's 95bFM
-  const refreshBtn = document.getElementById('refresh-bfm-btn');
-  if (name === '95bFM') {
-    lastBfmTrackInfo = null; // Reset track info when starting 95bFM
-    fetch95bFMNowPlaying();
-    // Update every 30 seconds
-    bfmNowPlayingInterval = setInterval(fetch95bFMNowPlaying, 30000);
-    // Show refresh button
-    refreshBtn.style.display = 'inline-block';
-  } else {
-    lastBfmTrackInfo = null; // Reset track info when leaving 95bFM
-    // Hide refresh button
-    refreshBtn.style.display = 'none';
+function tickRecording() {
+  if (!activeRecording) return;
+  if (activeRecording.endsAt && Date.now() >= activeRecording.endsAt) {
+    stopRecording();
+    return;
   }
+  updateRecordingUI();
 }
 
-// Fetch 95bFM now playing information
-async function fetch95bFMNowPlaying() {
-  // Only fetch if we're currently on 95bFM
-  if (!currentStation || currentStation.name !== '95bFM') {
-    debug('Not fetching 95bFM data - not currently playing 95bFM');
-    return;
+// Stop the active recording and save it. Resolves with the saved record, or
+// null if nothing was captured.
+async function stopRecording() {
+  const recording = activeRecording;
+  if (!recording) return null;
+  activeRecording = null;
+  if (recordingInterval) {
+    clearInterval(recordingInterval);
+    recordingInterval = null;
+  }
+  updateRecordingUI();
+
+  if (recording.stop) await recording.stop();
+  if (recording.chunks.length === 0) {
+    showToast({ message: 'Nothing was recorded.', type: 'info', duration: 3000 });
+    return null;
   }
 
+  const blob = new Blob(recording.chunks, { type: recording.mimeType });
+  const record = {
+    name: getRecordingFileName(recording.stationName, recording.startedAt, recording.mimeType),
+    stationId: recording.stationId,
+    stationName: recording.stationName,
+    at: recording.startedAt,
+    duration: Math.round((Date.now() - recording.startedAt) / 1000),
+    size: blob.size,
+    mimeType: recording.mimeType,
+    blob
+  };
   try {
-    debug('Fetching 95bFM now playing...');
-    // Use CORS proxy to fetch the page with longer timeout
-    const proxyUrl = 'https://api.allorigins.win/raw?url=';
-    const targetUrl = encodeURIComponent('https://95bfm.com/');
+    record.id = await withStore('recordings', 'readwrite', (store, result) => {
+      const request = store.add(record);
+      request.onsuccess = () => {
+        result.value = request.result;
+      };
+    });
+  } catch (error) {
+    // Couldn't keep it (storage full or unavailable): hand it over as a file
+    console.warn('Failed to save recording:', error);
+    downloadRecording(record);
+    return null;
+  }
 
-    // Create abort controller with 20 second timeout for slow proxy
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 20000);
+  showToast({
+    title: 'Recording Saved',
+    message: escapeHtml(record.name),
+    type: 'success',
+    duration: 5000,
+    icon: '⏺',
+    action: { text: 'Download', callback: () => downloadRecording(record) }
+  });
+  if (refreshRecordings) refreshRecordings();
+  return record;
+}
 
-    try {
-      const response = await fetch(proxyUrl + targetUrl, {
-        signal: controller.signal
-      });
+// "95bFM 2026-10-19 0730 NZT.mp3"
+function getRecordingFileName(stationName, at, mimeType) {
+  const nz = getNZDTTime(new Date(at));
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${nz.getFullYear()}-${pad(nz.getMonth() + 1)}-${pad(nz.getDate())} ${pad(nz.getHours())}${pad(nz.getMinutes())}`;
+  const safeName = stationName.replace(/[\\/:*?"<>|]+/g, '').trim() || 'Recording';
+  return `${safeName} ${stamp} NZT.${getRecordingExtension(mimeType)}`;
+}
 
-      clearTimeout(timeoutId);
+function getRecordingExtension(mimeType) {
+  const type = mimeType.split(';')[0];
+  return { 'audio/mpeg': 'mp3', 'audio/aac': 'aac', 'audio/mp4': 'm4a', 'audio/ogg': 'ogg' }[type] || 'webm';
+}
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+function getRecordings() {
+  return withStore('recordings', 'readonly', (store, result) => {
+    const request = store.index('at').getAll();
+    request.onsuccess = () => {
+      result.value = request.result.reverse();
+    };
+  });
+}
 
-      const html = await response.text();
-
-      // Parse the HTML to find the now playing track
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      // Find the track info in the views field
-      const trackElements = doc.querySelectorAll('.views-field-nothing .field-content');
-      let trackInfo = null;
-
-      for (let elem of trackElements) {
-        const text = elem.textContent.trim();
-        // Look for "Artist - Song" pattern, filter out noise
-        if (text.includes(' - ') &&
-            !text.includes('On now') &&
-            !text.includes('DJs') &&
-            !text.includes('Show') &&
-            text.length > 5 && // Avoid very short strings
-            text.length < 200) { // Avoid long descriptions
-          trackInfo = text;
-          break;
-        }
-      }
+function removeRecording(id) {
+  forgetPlaybackPosition(`recording:${id}`);
+  return withStore('recordings', 'readwrite', (store) => {
+    store.delete(id);
+  });
+}
 
-      // Only update if we found valid track info and it's different
-      if (trackInfo && trackInfo !== lastBfmTrackInfo) {
-        const nowPlaying = document.getElementById('now-playing');
-        // Double-check we're still on 95bFM before updating
-        if (currentStation && currentStation.name === '95bFM') {
-          // Find the first text node (before the button)
-          const textNode = nowPlaying.firstChild;
-          if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-            textNode.textContent = `Now Playing: ${trackInfo}`;
-          } else {
-            // Fallback: use childNodes[0] if structure is different
-            nowPlaying.childNodes[0].textContent = `Now Playing: ${trackInfo}`;
-          }
-          lastBfmTrackInfo = trackInfo;
-          console.log('✓ Updated 95bFM track:', trackInfo);
-          setMediaSessionMetadata(trackInfo, '95bFM');
-          // Reset failure count on success
-          bfmMetadataFailures = 0;
-        }
-      } else if (!trackInfo) {
-        debug('No track info found in HTML');
-      } else {
-        debug('Track info unchanged:', trackInfo);
-      }
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      throw fetchError; // Re-throw to outer catch
-    }
-  } catch (error) {
-    // Less verbose error logging - timeouts are common with CORS proxies
-    if (error.name === 'AbortError') {
-      console.warn('95bFM fetch timed out (proxy may be slow)');
-      bfmMetadataFailures++;
-    } else {
-      console.error('Error fetching 95bFM now playing:', error);
-      bfmMetadataFailures++;
-    }
+function downloadRecording(record) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(record.blob);
+  link.download = record.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
 
-    // Show toast after 3 consecutive failures
-    if (bfmMetadataFailures === 3) {
-      showToast({
-        title: '95bFM Metadata Unavailable',
-        message: 'Unable to fetch track information. The metadata service may be down.',
-        type: 'warning',
-        duration: 8000
-      });
-    }
+// Play a saved recording through the bulletin scrub controls
+function playRecording(record) {
+  const url = URL.createObjectURL(record.blob);
+  loadStation(url, record.name, { recording: true, resumeKey: `recording:${record.id}` });
+  audio._objectUrl = url;
+  setActiveNewsButton(null);
+  document.getElementById('play-pause-btn').disabled = false;
+}
 
-    // Only show fallback if we're still on 95bFM and haven't shown track info yet
-    if (currentStation && currentStation.name === '95bFM' && !lastBfmTrackInfo) {
-      const nowPlaying = document.getElementById('now-playing');
-      const currentText = nowPlaying.textContent || '';
-      // Only update if it's not already showing 95bFM
-      if (!currentText.includes('95bFM')) {
-        const textNode = nowPlaying.firstChild;
-        if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-          textNode.textContent = 'Now Playing: 95bFM';
-        } else {
-          nowPlaying.childNodes[0].textContent = 'Now Playing: 95bFM';
-        }
-      }
+function formatRecordingSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function updateRecordingUI() {
+  const recordBtn = document.getElementById('record-btn');
+  const label = document.getElementById('record-elapsed');
+  const toggle = document.getElementById('record-toggle');
+  const durationSelect = document.getElementById('record-duration');
+  if (!recordBtn || !label) return;
+
+  recordBtn.classList.toggle('recording', !!activeRecording);
+  if (toggle) toggle.textContent = activeRecording ? 'Stop recording' : 'Start recording';
+  if (durationSelect) durationSelect.disabled = !!activeRecording;
+  if (!activeRecording) {
+    label.textContent = '';
+    return;
+  }
+  const elapsed = (Date.now() - activeRecording.startedAt) / 1000;
+  label.textContent = elapsed >= 60 ? `${Math.floor(elapsed / 60)}m` : `${Math.floor(elapsed)}s`;
+}
+
+function setupRecording() {
+  const recordBtn = document.getElementById('record-btn');
+  const panel = document.getElementById('record-panel');
+  const toggle = document.getElementById('record-toggle');
+  const durationSelect = document.getElementById('record-duration');
+  const list = document.getElementById('record-list');
+  if (!recordBtn || !panel || !toggle || !list) return;
+
+  async function renderList() {
+    let recordings = [];
+    try {
+      recordings = await getRecordings();
+    } catch (error) {
+      console.warn('Failed to read recordings:', error);
     }
+    list.replaceChildren(...recordings.map((record) => {
+      const item = document.createElement('li');
+      item.className = 'alarm-item record-item';
+
+      const text = document.createElement('span');
+      text.className = 'alarm-text';
+      text.textContent = `${record.stationName} · ${formatNZTimestamp(record.at)} `;
+      text.title = record.name;
+      const meta = document.createElement('span');
+      meta.className = 'record-meta';
+      meta.textContent = `${formatTime(record.duration)} · ${formatRecordingSize(record.size)}`;
+      text.appendChild(meta);
+
+      const play = document.createElement('button');
+      play.className = 'alarm-remove';
+      play.title = 'Play recording';
+      play.textContent = '▶';
+      play.addEventListener('click', () => playRecording(record));
+
+      const download = document.createElement('button');
+      download.className = 'alarm-remove';
+      download.title = 'Download';
+      download.textContent = '⬇';
+      download.addEventListener('click', () => downloadRecording(record));
+
+      const remove = document.createElement('button');
+      remove.className = 'alarm-remove';
+      remove.title = 'Delete recording';
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => {
+        removeRecording(record.id)
+          .then(renderList)
+          .catch(error => console.warn('Failed to delete recording:', error));
+      });
+
+      item.append(text, play, download, remove);
+      return item;
+    }));
   }
+
+  recordBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    recordBtn.classList.toggle('active', !panel.hidden);
+    if (!panel.hidden) renderList();
+  });
+
+  toggle.addEventListener('click', () => {
+    if (activeRecording) {
+      stopRecording();
+    } else {
+      startRecording(parseInt(durationSelect.value, 10) || 0);
+    }
+  });
+
+  refreshRecordings = () => {
+    if (!panel.hidden) renderList();
+  };
+  updateRecordingUI();
 }
 
 // Update online/offline status
@@ -1382,14 +6687,17 @@ function updateOnlineStatus() {
     // Show offline notification
     showToast({
       title: 'No Internet Connection',
-      message: 'Streaming is unavailable while offline.',
+      message: offlineBulletins.length
+        ? 'Streaming is unavailable while offline. Downloaded bulletins still play.'
+        : 'Streaming is unavailable while offline.',
       type: 'error',
       duration: 0, // Keep until dismissed or back online
       icon: '📡'
     });
 
-    // Pause audio when offline
-    if (audio && !audio.paused) {
+    // Pause audio when offline, unless it's playing from this device
+    const playingLocally = currentStation && (currentStation.options.recording || isBulletinOffline(currentStation.url));
+    if (audio && !audio.paused && !playingLocally) {
       audio.pause();
     }
   }
@@ -1406,10 +6714,34 @@ window.addEventListener('beforeunload', () => {
     clearInterval(newsUpdateInterval);
     newsUpdateInterval = null;
   }
-  if (bfmNowPlayingInterval) {
-    clearInterval(bfmNowPlayingInterval);
-    bfmNowPlayingInterval = null;
+  stopMetadataPolling();
+  clearInBandMetadata();
+  if (sleepTimerInterval) {
+    clearInterval(sleepTimerInterval);
+    sleepTimerInterval = null;
+  }
+  if (alarmCheckInterval) {
+    clearInterval(alarmCheckInterval);
+    alarmCheckInterval = null;
+  }
+  if (alarmRampInterval) {
+    clearInterval(alarmRampInterval);
+    alarmRampInterval = null;
   }
+  if (reminderCheckInterval) {
+    clearInterval(reminderCheckInterval);
+    reminderCheckInterval = null;
+  }
+  if (silenceCheckTimer) {
+    clearInterval(silenceCheckTimer);
+    silenceCheckTimer = null;
+  }
+  if (scheduleInterval) {
+    clearInterval(scheduleInterval);
+    scheduleInterval = null;
+  }
+  if (activeRecording) stopRecording();
+  savePlaybackPosition();
 
   // Clean up audio and its listeners
   if (audio) {
@@ -1418,6 +6750,9 @@ window.addEventListener('beforeunload', () => {
       audio._hlsInstance.destroy();
       audio._hlsInstance = null;
     }
+    if (audio.parentNode) {
+      audio.remove();
+    }
     currentAudioListeners.forEach(({ event, handler }) => {
       audio.removeEventListener(event, handler);
     });
@@ -1,10 +1,22 @@
 // RadioLive Service Worker
 // Provides offline support and caching for PWA functionality
 
-const CACHE_VERSION = 'v1';
+const CACHE_VERSION = 'v5';
 const CACHE_NAME = `radiolive-${CACHE_VERSION}`;
 const OFFLINE_PAGE = '/index.html';
 
+// Bulletins the user chose to download. Filled and size-capped by app.js, and
+// kept across CACHE_VERSION bumps.
+const OFFLINE_BULLETIN_CACHE = 'radiolive-offline-bulletins';
+
+// Background auto-download: app.js keeps a plan of upcoming bulletin URLs in
+// the offline bucket and registers this periodic sync tag
+const AUTO_DOWNLOAD_PLAN_URL = '/offline-bulletins/plan.json';
+const AUTO_DOWNLOAD_SYNC_TAG = 'radiolive-latest-bulletins';
+// Automatic downloads still to be trimmed, [{ url, providerId, publishedAt }],
+// kept up to date by both this and app.js
+const AUTO_DOWNLOAD_INDEX_URL = '/offline-bulletins/auto.json';
+
 // Static assets to precache
 const STATIC_ASSETS = [
   '/',
@@ -12,6 +24,9 @@ const STATIC_ASSETS = [
   '/app.js',
   '/style.css',
   '/manifest.json',
+  '/stations.json',
+  '/schedule.json',
+  '/alarm-tone.wav',
   '/apple-touch-icon.png',
   '/favicon.png'
 ];
@@ -48,7 +63,7 @@ self.addEventListener('activate', (event) => {
           cacheNames
             .filter((name) => {
               // Remove old RadioLive caches
-              return name.startsWith('radiolive-') && name !== CACHE_NAME;
+              return name.startsWith('radiolive-') && name !== CACHE_NAME && name !== OFFLINE_BULLETIN_CACHE;
             })
             .map((name) => {
               console.log('[ServiceWorker] Deleting old cache:', name);
@@ -76,11 +91,22 @@ function isAudioStream(url) {
   return streamHosts.some(host => url.hostname.includes(host));
 }
 
+// Helper: Check if URL is a news bulletin MP3 (served from the offline bucket when downloaded)
+function isBulletin(url) {
+  return url.hostname.includes('podcast.radionz.co.nz') ||
+    url.hostname.includes('weekondemand.newstalkzb.co.nz');
+}
+
 // Helper: Check if URL is CORS proxy (never cache these)
 function isCorsProxy(url) {
   return url.hostname.includes('api.allorigins.win');
 }
 
+// Helper: Check if URL is the station catalog or programme guide (kept fresh so fixes apply)
+function isStationCatalog(url) {
+  return url.pathname.endsWith('/stations.json') || url.pathname.endsWith('/schedule.json');
+}
+
 // Network-first strategy for HTML documents
 async function networkFirstStrategy(request) {
   try {
@@ -107,6 +133,110 @@ async function networkFirstStrategy(request) {
   }
 }
 
+// Downloaded bulletins come from the offline bucket, honouring Range requests
+// so the scrubber can seek; anything else goes to the network. Copies saved
+// without CORS are opaque and can't be sliced, so they're always served whole
+// (the media element then seeks within what it has loaded).
+async function offlineBulletinStrategy(request) {
+  const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+  const cachedResponse = await cache.match(request.url);
+  if (!cachedResponse) {
+    return fetch(request);
+  }
+
+  const range = request.headers.get('Range');
+  if (!range || cachedResponse.type === 'opaque') {
+    return cachedResponse;
+  }
+  return rangeResponse(cachedResponse, range);
+}
+
+// Build a 206 Partial Content response for a single "bytes=" range
+async function rangeResponse(response, range) {
+  const blob = await response.blob();
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  let start = match && match[1] !== '' ? parseInt(match[1], 10) : NaN;
+  let end = match && match[2] !== '' ? parseInt(match[2], 10) : size - 1;
+  if (match && match[1] === '' && match[2] !== '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  }
+  if (!match || isNaN(start) || start >= size || end < start) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+  end = Math.min(end, size - 1);
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// Download each planned provider's latest published bulletin, then drop
+// automatic downloads beyond the plan's `keep`. If the latest isn't up yet it
+// waits for the next sync rather than fetching the older one in its place.
+// Hosts that refuse CORS are left to the open page: an opaque copy's status
+// can't be checked here. The page trims by size and refreshes its index when opened.
+async function downloadPlannedBulletins() {
+  const cache = await caches.open(OFFLINE_BULLETIN_CACHE);
+  const planResponse = await cache.match(AUTO_DOWNLOAD_PLAN_URL);
+  if (!planResponse) return;
+  const plan = await planResponse.json();
+  const indexResponse = await cache.match(AUTO_DOWNLOAD_INDEX_URL);
+  let autoDownloads = indexResponse ? await indexResponse.json() : [];
+  const now = Date.now();
+  const providerIds = [...new Set(plan.bulletins.map(bulletin => bulletin.providerId))];
+
+  for (const providerId of providerIds) {
+    const latest = plan.bulletins
+      .filter(bulletin => bulletin.providerId === providerId && bulletin.publishedAt <= now)
+      .sort((a, b) => b.publishedAt - a.publishedAt)[0];
+    if (latest && !autoDownloads.some(entry => entry.url === latest.url) && !(await cache.match(latest.url))) {
+      try {
+        const response = await fetch(latest.url, { mode: 'cors' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const blob = await response.blob();
+        await cache.put(latest.url, new Response(blob, {
+          headers: {
+            'Content-Type': blob.type || 'audio/mpeg',
+            'Content-Length': String(blob.size),
+            'X-Bulletin-Provider': providerId,
+            'X-Bulletin-Published-At': String(latest.publishedAt)
+          }
+        }));
+        autoDownloads.push({ url: latest.url, providerId, publishedAt: latest.publishedAt });
+        console.log('[ServiceWorker] Downloaded bulletin:', latest.url);
+      } catch (error) {
+        console.warn('[ServiceWorker] Bulletin download failed:', error.message);
+      }
+    }
+
+    // Keep the newest `keep` automatic downloads for this provider
+    const stale = autoDownloads
+      .filter(entry => entry.providerId === providerId)
+      .sort((a, b) => b.publishedAt - a.publishedAt)
+      .slice(plan.keep);
+    for (const entry of stale) {
+      await cache.delete(entry.url);
+    }
+    autoDownloads = autoDownloads.filter(entry => !stale.includes(entry));
+  }
+
+  await cache.put(AUTO_DOWNLOAD_INDEX_URL, new Response(JSON.stringify(autoDownloads), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
 // Cache-first strategy for static assets
 async function cacheFirstStrategy(request) {
   // Try cache first
@@ -138,29 +268,80 @@ async function cacheFirstStrategy(request) {
   }
 }
 
+// Periodic sync event - hourly bulletin auto-download (installed app, Chromium)
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === AUTO_DOWNLOAD_SYNC_TAG) {
+    event.waitUntil(downloadPlannedBulletins());
+  }
+});
+
+// Show reminder - app.js posts it when a reminded show starts
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'show-reminder' && data.reminder) {
+    const { reminder } = data;
+    event.waitUntil(self.registration.showNotification(reminder.name, {
+      body: `Starting now on ${reminder.stationName} (${reminder.time} NZ time)`,
+      tag: `reminder-${reminder.id}`,
+      icon: '/favicon.png',
+      badge: '/favicon.png',
+      data: { stationId: reminder.stationId },
+      actions: [{ action: 'listen', title: 'Listen now' }],
+      requireInteraction: true
+    }));
+  }
+});
+
+// Notification click - "Listen now" (or a tap on the reminder itself, where
+// the platform has no action buttons) plays the station in an open window,
+// or opens the app with ?play=<station id>
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { stationId } = event.notification.data || {};
+  if (!stationId) return;
+  event.waitUntil(listenNow(stationId));
+});
+
+async function listenNow(stationId) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = windows.find(win => new URL(win.url).origin === self.location.origin);
+  if (client) {
+    await client.focus();
+    client.postMessage({ type: 'play-station', stationId });
+    return;
+  }
+  await self.clients.openWindow(`/?play=${encodeURIComponent(stationId)}`);
+}
+
 // Fetch event - route requests to appropriate strategies
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
-  // Strategy 1: Never cache audio streams (live content, massive size)
+  // Strategy 1: Bulletins the user downloaded play from the offline bucket
+  if (isBulletin(url)) {
+    event.respondWith(offlineBulletinStrategy(request));
+    return;
+  }
+
+  // Strategy 2: Never cache audio streams (live content, massive size)
   if (isAudioStream(url)) {
     event.respondWith(fetch(request));
     return;
   }
 
-  // Strategy 2: Never cache CORS proxy requests (dynamic metadata)
+  // Strategy 3: Never cache CORS proxy requests (dynamic metadata)
   if (isCorsProxy(url)) {
     event.respondWith(fetch(request));
     return;
   }
 
-  // Strategy 3: Network-first for HTML documents (fresh content with offline fallback)
-  if (request.destination === 'document') {
+  // Strategy 4: Network-first for HTML documents and the station catalog (fresh content with offline fallback)
+  if (request.destination === 'document' || isStationCatalog(url)) {
     event.respondWith(networkFirstStrategy(request));
     return;
   }
 
-  // Strategy 4: Cache-first for static assets (CSS, JS, images)
+  // Strategy 5: Cache-first for static assets (CSS, JS, images)
   event.respondWith(cacheFirstStrategy(request));
 });
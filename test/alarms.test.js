@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-script');
+
+// Tuesday 20 October 2026, 10:35 NZDT
+const app = loadApp({ now: '2026-10-19T21:35:00Z' });
+const tuesdayMorning = new Date(2026, 9, 20, 10, 35);
+const fridayEvening = new Date(2026, 9, 23, 20, 0);
+
+function alarm(time, days = [], enabled = true) {
+  return { id: `alarm-${time}`, time, days, enabled, target: { kind: 'station', id: 'zm' } };
+}
+
+test('a one-off alarm rings later today, or else tomorrow', () => {
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('11:00'), tuesdayMorning), 25);
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('10:00'), tuesdayMorning), 1440 - 35);
+});
+
+test('an alarm set for the current minute next rings a day later', () => {
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('10:35'), tuesdayMorning), 1440);
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('10:35', [0, 1, 2, 3, 4, 5, 6]), tuesdayMorning), 1440);
+});
+
+test('a repeating alarm skips to its next chosen day', () => {
+  // Weekdays at 06:30, from Friday 20:00: Monday morning
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('06:30', [1, 2, 3, 4, 5]), fridayEvening), 3 * 1440 + 390 - 1200);
+  // Tuesdays only, already past this week: next Tuesday
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('07:00', [2]), tuesdayMorning), 7 * 1440 + 420 - 635);
+});
+
+test('a disabled alarm never rings', () => {
+  assert.strictEqual(app.getMinutesUntilAlarm(alarm('11:00', [], false), tuesdayMorning), null);
+});
+
+test('getNextAlarm picks the soonest enabled alarm, in NZ time', () => {
+  app.evaluate(`alarms = ${JSON.stringify([alarm('06:30', [1, 2, 3, 4, 5]), alarm('12:00', [], false), alarm('11:15', [6])])}`);
+  const next = app.getNextAlarm();
+  assert.strictEqual(next.alarm.time, '06:30');
+  assert.strictEqual(next.minutes, 1440 - 635 + 390);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-script');
+
+function slotAt(now, provider, stepsBack) {
+  const app = loadApp({ now });
+  const resolved = typeof provider === 'string' ? app.evaluate('bulletinProviders').get(provider) : provider;
+  const slot = app.getBulletinSlot(resolved, stepsBack);
+  return { url: app.buildBulletinURL(resolved, slot), instant: slot.instant.toISOString() };
+}
+
+const hourly = { id: 'test', timeZone: 'Pacific/Auckland', cadenceHours: 1, params: {}, urlTemplate: '{YYYY}{MM}{DD}-{HH}{DST}' };
+
+test('the latest RNZ bulletin is the top of the current NZ hour', () => {
+  // 10:35 NZDT on 20 October
+  assert.deepStrictEqual(slotAt('2026-10-19T21:35:00Z', 'rnz', 0), {
+    url: 'https://podcast.radionz.co.nz/news/20261020-1000-064.mp3',
+    instant: '2026-10-19T21:00:00.000Z'
+  });
+});
+
+test('stepping back counts whole cadences', () => {
+  assert.deepStrictEqual(slotAt('2026-10-19T21:35:00Z', 'rnz', 2), {
+    url: 'https://podcast.radionz.co.nz/news/20261020-0800-064.mp3',
+    instant: '2026-10-19T19:00:00.000Z'
+  });
+});
+
+test('stepping back over NZ midnight moves to the previous NZ day', () => {
+  // 00:10 NZDT on 20 October
+  assert.deepStrictEqual(slotAt('2026-10-19T11:10:00Z', hourly, 1), {
+    url: '20261019-23D',
+    instant: '2026-10-19T10:00:00.000Z'
+  });
+});
+
+test('slots follow the provider cadence', () => {
+  assert.deepStrictEqual(slotAt('2026-10-19T21:35:00Z', { ...hourly, cadenceHours: 3 }, 0), {
+    url: '20261020-09D',
+    instant: '2026-10-19T20:00:00.000Z'
+  });
+});
+
+test('the DST token is S outside daylight saving', () => {
+  // 12:30 NZST on 1 July
+  assert.deepStrictEqual(slotAt('2026-07-01T00:30:00Z', hourly, 0), {
+    url: '20260701-12S',
+    instant: '2026-07-01T00:00:00.000Z'
+  });
+});
+
+test('slots use the provider timezone', () => {
+  // 22:35 BST
+  assert.deepStrictEqual(slotAt('2026-10-19T21:35:00Z', { ...hourly, timeZone: 'Europe/London' }, 0), {
+    url: '20261019-22D',
+    instant: '2026-10-19T21:00:00.000Z'
+  });
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-script');
+
+const app = loadApp();
+
+test('normalizeStation fills in defaults', () => {
+  const station = app.normalizeStation({ id: 'zm', name: 'ZM', streams: [{ url: 'https://example.com/zm.m3u8', format: 'hls' }] });
+  assert.strictEqual(station.id, 'zm');
+  assert.strictEqual(station.location, '');
+  assert.strictEqual(station.type, 'audio');
+  assert.strictEqual(station.metadata, null);
+  assert.strictEqual(station.bulletin, null);
+  assert.strictEqual(station.streams[0].format, 'hls');
+});
+
+test('normalizeStation accepts plain stream URLs and drops empty ones', () => {
+  const station = app.normalizeStation({ id: 'a', name: 'A', type: 'video', streams: ['https://example.com/a', '', null] });
+  assert.strictEqual(station.type, 'video');
+  assert.strictEqual(station.streams.length, 1);
+  assert.strictEqual(station.streams[0].url, 'https://example.com/a');
+});
+
+test('normalizeStation rejects entries without an id, a name or a stream', () => {
+  assert.strictEqual(app.normalizeStation(null), null);
+  assert.strictEqual(app.normalizeStation({ name: 'A', streams: ['https://example.com/a'] }), null);
+  assert.strictEqual(app.normalizeStation({ id: 'a', streams: ['https://example.com/a'] }), null);
+  assert.strictEqual(app.normalizeStation({ id: 'a', name: 'A', streams: [] }), null);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-script');
+
+const app = loadApp();
+const encoder = new TextEncoder();
+
+// An Icecast response whose body arrives in `chunkSize` pieces
+function icyResponse(bytes, { metaInt, chunkSize = 3 } = {}) {
+  let pos = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (pos >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(pos, pos + chunkSize));
+      pos += chunkSize;
+    }
+  });
+  const headers = new Headers(metaInt ? { 'icy-metaint': String(metaInt) } : {});
+  return { ok: true, status: 200, headers, body };
+}
+
+// A metadata slot: the length byte (x16) and the block, padded with zeros
+function icyBlock(text) {
+  const block = new Uint8Array(Math.ceil(text.length / 16) * 16);
+  block.set(encoder.encode(text));
+  return [block.length / 16, ...block];
+}
+
+function concat(...parts) {
+  return Uint8Array.from(parts.flatMap(part => (typeof part === 'string' ? [...encoder.encode(part)] : part)));
+}
+
+async function readIcy(bytes, { metaInt, ...options }) {
+  const requests = [];
+  app.fetch = async (url, init) => {
+    requests.push(init);
+    return icyResponse(bytes, { metaInt });
+  };
+  const audio = [];
+  const titles = [];
+  await app.readIcyStream('https://example.com/stream', {
+    ...options,
+    onAudio: options.onAudio ? chunk => audio.push(...chunk) : undefined,
+    onMetadata: raw => titles.push(raw)
+  });
+  return { audio: new TextDecoder().decode(Uint8Array.from(audio)), titles, headers: requests[0].headers };
+}
+
+test('ICY framing separates audio from metadata blocks split across chunks', async () => {
+  const bytes = concat('abcd', icyBlock("StreamTitle='Fat Freddy - Wandering Eye';"), 'efgh', [0], 'ijkl');
+  const { audio, titles } = await readIcy(bytes, { metaInt: 4, onAudio: true });
+  assert.strictEqual(audio, 'abcdefghijkl');
+  assert.deepStrictEqual(titles, ["StreamTitle='Fat Freddy - Wandering Eye';"]);
+});
+
+test('ICY sampling stops after maxBlocks metadata slots', async () => {
+  const bytes = concat('abcd', [0], 'efgh', [0], 'ijkl', icyBlock("StreamTitle='Too late';"), 'mnop');
+  const { titles } = await readIcy(bytes, { metaInt: 4, maxBlocks: 2 });
+  assert.deepStrictEqual(titles, []);
+});
+
+test('only metadata-only reads ask for ICY metadata', async () => {
+  const bytes = concat('abcd', [0]);
+  assert.strictEqual((await readIcy(bytes, { metaInt: 4 })).headers['Icy-MetaData'], '1');
+  assert.strictEqual((await readIcy(bytes, { metaInt: 4, onAudio: true })).headers['Icy-MetaData'], undefined);
+});
+
+test('a stream without icy-metaint passes its audio through, or is refused for metadata', async () => {
+  const { audio } = await readIcy(concat('abcdefgh'), { onAudio: true });
+  assert.strictEqual(audio, 'abcdefgh');
+  await assert.rejects(readIcy(concat('abcdefgh'), {}), /no ICY metadata/);
+});
+
+test('StreamTitle is split into artist and title', () => {
+  const info = app.parseStreamTitle("StreamTitle='Benee - Supalonely';StreamUrl='';");
+  assert.strictEqual(info.artist, 'Benee');
+  assert.strictEqual(info.title, 'Supalonely');
+  assert.strictEqual(app.parseStreamTitle("StreamTitle='';"), null);
+});
+
+test('ICY metadata that isn\'t UTF-8 is read as Latin-1', () => {
+  assert.strictEqual(app.decodeIcyMetadata(Uint8Array.from([0x43, 0x61, 0x66, 0xe9, 0, 0])), 'Café');
+  assert.strictEqual(app.decodeIcyMetadata(encoder.encode('Café')), 'Café');
+});
+
+// An ID3v2 tag of text frames: [id, encoding, text], encoding 0 (Latin-1) or 3 (UTF-8)
+function id3Tag(version, frames) {
+  const syncsafe = n => [(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f];
+  const bigEndian = n => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+  const body = frames.flatMap(([id, encoding, text]) => {
+    const data = [encoding, ...(encoding === 3 ? encoder.encode(text) : [...text].map(c => c.charCodeAt(0)))];
+    return [...encoder.encode(id), ...(version === 4 ? syncsafe(data.length) : bigEndian(data.length)), 0, 0, ...data];
+  });
+  return [0x49, 0x44, 0x33, version, 0, 0, ...syncsafe(body.length), ...body];
+}
+
+test('ID3v2.4 text frames are read, including TXXX', () => {
+  const frames = app.parseId3Frames(Uint8Array.from(id3Tag(4, [
+    ['TIT2', 3, 'Wāiata'],
+    ['TPE1', 0, 'Café Band'],
+    ['TXXX', 3, 'station\0ZM'],
+    ['WXXX', 0, 'ignored']
+  ])));
+  assert.strictEqual(frames.TIT2, 'Wāiata');
+  assert.strictEqual(frames.TPE1, 'Café Band');
+  assert.strictEqual(frames['TXXX:station'], 'ZM');
+  assert.strictEqual(frames.WXXX, undefined);
+});
+
+test('ID3v2.3 frame sizes are plain big-endian, and tags can follow each other', () => {
+  const long = 'x'.repeat(200);
+  const frames = app.parseId3Frames(Uint8Array.from([...id3Tag(3, [['TIT2', 0, long]]), ...id3Tag(3, [['TPE1', 0, 'Artist']])]));
+  assert.strictEqual(frames.TIT2, long);
+  assert.strictEqual(frames.TPE1, 'Artist');
+});
+
+test('iHeart\'s packed TIT2 becomes artist and title', () => {
+  const info = app.id3FramesToTrackInfo({ TIT2: 'title="Supalonely",artist="Benee",song_spot="M"' });
+  assert.strictEqual(info.artist, 'Benee');
+  assert.strictEqual(info.title, 'Supalonely');
+  assert.strictEqual(app.id3FramesToTrackInfo({ TIT2: '', TPE1: '' }), null);
+});
@@ -0,0 +1,84 @@
+// Loads app.js or sw.js into a fresh VM context with just enough of the
+// browser stubbed out for their top-level code to run, so the pure helpers
+// can be tested with `node --test` and no dependencies.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+// A Date whose "now" is fixed, for code that reads the clock
+function fixedDate(now) {
+  const time = new Date(now).getTime();
+  return class FixedDate extends Date {
+    constructor(...args) {
+      if (args.length) {
+        super(...args);
+      } else {
+        super(time);
+      }
+    }
+
+    static now() {
+      return time;
+    }
+  };
+}
+
+function loadScript(file, globals) {
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    TextDecoder,
+    TextEncoder,
+    ReadableStream,
+    Response,
+    Headers,
+    Blob,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    addEventListener() {},
+    ...globals
+  });
+  context.window = context;
+  context.self = context;
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  // Top-level const/let bindings aren't properties of the context
+  context.evaluate = expression => vm.runInContext(expression, context);
+  return context;
+}
+
+// `now` fixes the clock (a Date, timestamp or ISO string)
+function loadApp({ now, ...globals } = {}) {
+  return loadScript('app.js', {
+    document: {
+      addEventListener() {},
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    navigator: {},
+    location: { protocol: 'http:', href: 'http://localhost/', pathname: '/', search: '', hash: '' },
+    localStorage: createStorage(),
+    ...(now !== undefined ? { Date: fixedDate(now) } : {}),
+    ...globals
+  });
+}
+
+function loadServiceWorker(globals = {}) {
+  return loadScript('sw.js', { caches: {}, ...globals });
+}
+
+module.exports = { loadApp, loadServiceWorker };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServiceWorker } = require('./load-script');
+
+const bytes = Uint8Array.from({ length: 100 }, (_, i) => i);
+const mp3 = () => new Response(bytes, { headers: { 'Content-Type': 'audio/mpeg' } });
+
+async function range(header) {
+  const sw = loadServiceWorker();
+  const response = await sw.rangeResponse(mp3(), header);
+  return {
+    status: response.status,
+    contentRange: response.headers.get('Content-Range'),
+    body: [...new Uint8Array(await response.arrayBuffer())]
+  };
+}
+
+test('a byte range is served as 206 Partial Content', async () => {
+  assert.deepStrictEqual(await range('bytes=10-14'), { status: 206, contentRange: 'bytes 10-14/100', body: [10, 11, 12, 13, 14] });
+});
+
+test('open-ended and suffix ranges run to the end', async () => {
+  assert.deepStrictEqual(await range('bytes=97-'), { status: 206, contentRange: 'bytes 97-99/100', body: [97, 98, 99] });
+  assert.deepStrictEqual(await range('bytes=-2'), { status: 206, contentRange: 'bytes 98-99/100', body: [98, 99] });
+  assert.deepStrictEqual(await range('bytes=98-500'), { status: 206, contentRange: 'bytes 98-99/100', body: [98, 99] });
+});
+
+test('unsatisfiable or malformed ranges get 416', async () => {
+  for (const header of ['bytes=100-', 'bytes=20-10', 'items=0-1', 'bytes=0-1,5-6']) {
+    const { status, contentRange } = await range(header);
+    assert.strictEqual(status, 416, header);
+    assert.strictEqual(contentRange, 'bytes */100', header);
+  }
+});
+
+test('opaque copies are served whole, even for a Range request', async () => {
+  const opaque = { type: 'opaque', status: 0 };
+  const sw = loadServiceWorker({ caches: { open: async () => ({ match: async () => opaque }) } });
+  const request = { url: 'https://example.com/news.mp3', headers: new Headers({ Range: 'bytes=10-' }) };
+  assert.strictEqual(await sw.offlineBulletinStrategy(request), opaque);
+});